@@ -1,6 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { Calendar, Users, TrendingUp, MessageSquare, Dumbbell, Apple, Camera, Award, Settings, Menu, X, ChevronRight, Plus, Check, AlertCircle, BarChart3, Clock, Target, Heart, Activity, FileText, Send, Mic, PlayCircle, PauseCircle, ChevronLeft, Upload, Search, Filter, Star, Bell, CreditCard, DollarSign, User, Lock, LogOut, Home, CheckCircle, XCircle, TrendingDown, ArrowUpRight, ArrowDownRight } from 'lucide-react';
 import { LineChart, Line, AreaChart, Area, BarChart, Bar, PieChart, Pie, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, RadarChart, RadarChart as Radar, PolarGrid, PolarAngleAxis, PolarRadiusAxis } from 'recharts';
+import { Messages } from './components/Messages';
+import { ClientDetail } from './components/ClientDetail';
+import { AdminService } from './services/admin.service';
+import { api } from './services/api';
+import { useApi } from './hooks/useApi';
 
 // Main App - Single Trainer Platform with Payment Integration
 const PersonalTrainingPlatform = () => {
@@ -23,6 +28,13 @@ const PersonalTrainingPlatform = () => {
     });
   }, []);
 
+  // Refunds, credits and subscription changes ask for a fresh authenticator code
+  useEffect(() => {
+    if (!isAdmin) return;
+    api.setStepUpHandler(async () => window.prompt('Enter the 6-digit code from your authenticator app'));
+    return () => api.setStepUpHandler(null);
+  }, [isAdmin]);
+
   // ==========================================
   // ADMIN (TRAINER) DASHBOARD
   // ==========================================
@@ -235,6 +247,7 @@ const PersonalTrainingPlatform = () => {
   const ClientManagement = () => {
     const [searchTerm, setSearchTerm] = useState('');
     const [filterStatus, setFilterStatus] = useState('all');
+    const [selectedClientId, setSelectedClientId] = useState(null);
     
     const clients = [
       { 
@@ -296,6 +309,16 @@ const PersonalTrainingPlatform = () => {
       (filterStatus === 'all' || client.status === filterStatus)
     );
 
+    if (selectedClientId) {
+      return (
+        <ClientDetail
+          clientId={selectedClientId}
+          onBack={() => setSelectedClientId(null)}
+          onMessage={() => setActiveView('messages')}
+        />
+      );
+    }
+
     return (
       <div className="space-y-6">
         <div className="flex justify-between items-center">
@@ -395,7 +418,12 @@ const PersonalTrainingPlatform = () => {
                       {client.nextPayment || '-'}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                      <button className="text-blue-600 hover:text-blue-900 mr-3">View</button>
+                      <button
+                        onClick={() => setSelectedClientId(client.id)}
+                        className="text-blue-600 hover:text-blue-900 mr-3"
+                      >
+                        View
+                      </button>
                       <button className="text-green-600 hover:text-green-900">Message</button>
                     </td>
                   </tr>
@@ -412,12 +440,33 @@ const PersonalTrainingPlatform = () => {
   // PAYMENT MANAGEMENT (ADMIN)
   // ==========================================
   const PaymentManagement = () => {
-    const payments = [
-      { id: 1, client: 'Sarah Johnson', amount: 79, date: '2024-01-01', status: 'completed', method: 'card' },
-      { id: 2, client: 'Mike Chen', amount: 49, date: '2024-01-05', status: 'completed', method: 'card' },
-      { id: 3, client: 'Emily Davis', amount: 79, date: '2024-01-10', status: 'pending', method: 'card' },
-      { id: 4, client: 'Alex Brown', amount: 49, date: '2023-12-28', status: 'failed', method: 'card' },
-    ];
+    const { data: payments, refetch } = useApi(() => AdminService.getPayments());
+    const [refunding, setRefunding] = useState(null);
+    const [refund, setRefund] = useState({ amount: '', reason: '' });
+    const [refundError, setRefundError] = useState(null);
+
+    const clientName = (payment) => {
+      const profile = Array.isArray(payment.client?.profile) ? payment.client.profile[0] : payment.client?.profile;
+      return [profile?.first_name, profile?.last_name].filter(Boolean).join(' ') || payment.client?.username || '-';
+    };
+
+    const startRefund = (payment) => {
+      setRefunding(payment.id);
+      setRefund({ amount: payment.net_amount.toFixed(2), reason: '' });
+      setRefundError(null);
+    };
+
+    const submitRefund = async (e) => {
+      e.preventDefault();
+      setRefundError(null);
+      try {
+        await AdminService.refundPayment(refunding, Number(refund.amount), refund.reason);
+        setRefunding(null);
+        await refetch();
+      } catch (err) {
+        setRefundError(err.message);
+      }
+    };
 
     const monthlyRevenue = 7800;
     const yearlyRevenue = 84600;
@@ -483,28 +532,77 @@ const PersonalTrainingPlatform = () => {
                 </tr>
               </thead>
               <tbody>
-                {payments.map(payment => (
-                  <tr key={payment.id} className="border-b hover:bg-gray-50">
-                    <td className="py-3">{payment.client}</td>
-                    <td className="py-3 font-semibold">${payment.amount}</td>
-                    <td className="py-3">{payment.date}</td>
-                    <td className="py-3">
-                      <span className={`px-2 py-1 rounded-full text-xs ${
-                        payment.status === 'completed' ? 'bg-green-100 text-green-800' :
-                        payment.status === 'pending' ? 'bg-yellow-100 text-yellow-800' :
-                        'bg-red-100 text-red-800'
-                      }`}>
-                        {payment.status}
-                      </span>
-                    </td>
-                    <td className="py-3">
-                      <CreditCard size={16} className="inline mr-1" />
-                      {payment.method}
-                    </td>
-                    <td className="py-3">
-                      <button className="text-blue-600 hover:text-blue-800 text-sm">View</button>
-                    </td>
-                  </tr>
+                {payments?.map(payment => (
+                  <React.Fragment key={payment.id}>
+                    <tr className="border-b hover:bg-gray-50">
+                      <td className="py-3">{clientName(payment)}</td>
+                      <td className="py-3 font-semibold">
+                        ${Number(payment.amount).toFixed(2)}
+                        {payment.refund_amount > 0 && (
+                          <span className="text-xs text-gray-500 ml-1">(${Number(payment.refund_amount).toFixed(2)} refunded)</span>
+                        )}
+                      </td>
+                      <td className="py-3">{new Date(payment.paid_at || payment.created_at).toLocaleDateString()}</td>
+                      <td className="py-3">
+                        <span className={`px-2 py-1 rounded-full text-xs ${
+                          payment.status === 'succeeded' ? 'bg-green-100 text-green-800' :
+                          payment.status === 'pending' ? 'bg-yellow-100 text-yellow-800' :
+                          payment.status === 'refunded' ? 'bg-gray-100 text-gray-800' :
+                          'bg-red-100 text-red-800'
+                        }`}>
+                          {payment.status}
+                        </span>
+                      </td>
+                      <td className="py-3">
+                        <CreditCard size={16} className="inline mr-1" />
+                        {payment.payment_method || 'card'}
+                      </td>
+                      <td className="py-3">
+                        {payment.status === 'succeeded' && payment.net_amount > 0 && (
+                          <button
+                            onClick={() => startRefund(payment)}
+                            className="text-blue-600 hover:text-blue-800 text-sm"
+                          >
+                            Refund
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                    {refunding === payment.id && (
+                      <tr className="border-b bg-gray-50">
+                        <td colSpan={6} className="py-3">
+                          <form onSubmit={submitRefund} className="flex gap-2 items-center">
+                            <input
+                              type="number"
+                              min="0.01"
+                              max={payment.net_amount}
+                              step="0.01"
+                              value={refund.amount}
+                              onChange={(e) => setRefund({ ...refund, amount: e.target.value })}
+                              className="border rounded px-3 py-1 w-28"
+                            />
+                            <input
+                              value={refund.reason}
+                              onChange={(e) => setRefund({ ...refund, reason: e.target.value })}
+                              placeholder="Reason (required)"
+                              className="border rounded px-3 py-1 flex-1"
+                            />
+                            <button
+                              type="submit"
+                              disabled={!refund.reason.trim()}
+                              className="bg-red-600 text-white px-3 py-1 rounded disabled:opacity-50"
+                            >
+                              Refund
+                            </button>
+                            <button type="button" onClick={() => setRefunding(null)} className="px-3 py-1 border rounded">
+                              Cancel
+                            </button>
+                          </form>
+                          {refundError && <p className="text-red-600 text-sm mt-1">{refundError}</p>}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
                 ))}
               </tbody>
             </table>
@@ -835,9 +933,9 @@ const PersonalTrainingPlatform = () => {
           )}
           
           {activeView === 'messages' && (
-            <div className="bg-white rounded-xl shadow-lg p-6">
+            <div>
               <h2 className="text-3xl font-bold mb-4">Messages</h2>
-              <p className="text-gray-600">Chat interface...</p>
+              <Messages currentUserId={currentUser?.id} isAdmin={isAdmin} />
             </div>
           )}
         </div>
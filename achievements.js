@@ -0,0 +1,472 @@
+// =========================================
+// /netlify/functions/achievements.js
+// Achievement catalogue, client progress and awards
+// =========================================
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken, requireAdmin } = require('./utils/auth');
+const {
+  checkAchievements,
+  getAchievementProgress,
+  CRITERIA_KEYS
+} = require('./utils/achievements');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const CATEGORIES = ['workout', 'nutrition', 'consistency', 'milestone'];
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  const user = verifyToken(event.headers.authorization);
+  if (!user) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+
+  const path = event.path
+    .replace('/.netlify/functions/achievements', '')
+    .replace(/^\//, '');
+  const method = event.httpMethod;
+  const isAdmin = requireAdmin(user);
+  const params = event.queryStringParameters || {};
+
+  try {
+    // Every achievement with earned status and progress for the client
+    if (path === '' && method === 'GET') {
+      const clientId = isAdmin && params.client_id ? params.client_id : user.userId;
+      const achievements = await getAchievementProgress(clientId);
+      const earned = achievements.filter(a => a.earned);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          achievements,
+          earned_count: earned.length,
+          total_points: earned.reduce((sum, a) => sum + (a.points || 0), 0)
+        })
+      };
+    }
+
+    // Re-run the rules, e.g. after adding a new achievement
+    if (path === 'evaluate' && method === 'POST') {
+      const { client_id } = JSON.parse(event.body || '{}');
+      const clientId = isAdmin && client_id ? client_id : user.userId;
+      const awarded = await checkAchievements(clientId);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ awarded })
+      };
+    }
+
+    // Admin catalogue management below
+    if (!isAdmin && (method === 'POST' || method === 'PUT' || method === 'DELETE')) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: 'Admin access required' })
+      };
+    }
+
+    // Define an achievement
+    if (path === '' && method === 'POST') {
+      const achievementData = JSON.parse(event.body || '{}');
+      const validationError = validateAchievement(achievementData);
+      if (validationError) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: validationError })
+        };
+      }
+
+      const { data: achievement, error } = await supabase
+        .from('achievements')
+        .insert({
+          name: achievementData.name,
+          description: achievementData.description,
+          icon_url: achievementData.icon_url,
+          points: achievementData.points || 0,
+          category: achievementData.category,
+          criteria: achievementData.criteria
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify(achievement)
+      };
+    }
+
+    const achievementMatch = path.match(/^([^/]+)$/);
+
+    // Update an achievement; existing awards are kept
+    if (achievementMatch && method === 'PUT') {
+      const achievementData = JSON.parse(event.body || '{}');
+      const { data: existing } = await supabase
+        .from('achievements')
+        .select('*')
+        .eq('id', achievementMatch[1])
+        .maybeSingle();
+
+      if (!existing) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Achievement not found' })
+        };
+      }
+
+      const merged = { ...existing, ...achievementData };
+      const validationError = validateAchievement(merged);
+      if (validationError) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: validationError })
+        };
+      }
+
+      const { data: achievement, error } = await supabase
+        .from('achievements')
+        .update({
+          name: merged.name,
+          description: merged.description,
+          icon_url: merged.icon_url,
+          points: merged.points,
+          category: merged.category,
+          criteria: merged.criteria
+        })
+        .eq('id', existing.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(achievement)
+      };
+    }
+
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Not found' })
+    };
+
+  } catch (error) {
+    console.error('Achievements error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
+
+// Helper functions
+function validateAchievement(achievement) {
+  if (!achievement.name) {
+    return 'name is required';
+  }
+  if (achievement.category && !CATEGORIES.includes(achievement.category)) {
+    return `category must be one of: ${CATEGORIES.join(', ')}`;
+  }
+
+  const criteria = achievement.criteria || {};
+  const targets = Object.keys(criteria).filter(key => CRITERIA_KEYS.includes(key));
+  if (!targets.length) {
+    return `criteria needs at least one of: ${CRITERIA_KEYS.join(', ')}`;
+  }
+  if (targets.some(key => !(typeof criteria[key] === 'number' && criteria[key] > 0))) {
+    return 'criteria targets must be positive numbers';
+  }
+
+  return null;
+}
+
+// =========================================
+// /netlify/functions/utils/achievements.js
+// Rules engine awarding achievements from their criteria
+// =========================================
+const { createClient: createAchievementClient } = require('@supabase/supabase-js');
+const { getZonedParts: getAchievementZonedParts } = require('./scheduling');
+const { getPlans: getAchievementPlans, planForDate: achievementPlanForDate } = require('./meal-plans');
+const { publishEvent: publishAchievementEvent } = require('./realtime');
+
+const supabaseAchievements = createAchievementClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Each criteria key in achievements.criteria maps to a metric; an achievement
+// is earned once every metric in its criteria reaches the target. Modifiers
+// such as streak_type or calorie_tolerance_pct tune a metric without being one.
+const METRICS = {
+  // {"workouts_completed": 10}
+  workouts_completed: async (ctx) => (await ctx.completedWorkouts()).length,
+
+  // {"workouts_per_week": 5} - best Monday-Sunday week so far
+  workouts_per_week: async (ctx) => {
+    const perWeek = {};
+    for (const workout of await ctx.completedWorkouts()) {
+      const { date, dayOfWeek } = getAchievementZonedParts(new Date(workout.completed_at), ctx.timezone);
+      const monday = new Date(`${date}T00:00:00Z`);
+      monday.setUTCDate(monday.getUTCDate() - ((dayOfWeek + 6) % 7));
+      const week = monday.toISOString().split('T')[0];
+      perWeek[week] = (perWeek[week] || 0) + 1;
+    }
+    return Math.max(0, ...Object.values(perWeek));
+  },
+
+  // {"streak_days": 30, "streak_type": "workout"} - longest run, so a broken streak still counts
+  streak_days: async (ctx, criteria) => {
+    const { data: streak } = await supabaseAchievements
+      .from('streaks')
+      .select('current_streak, longest_streak')
+      .eq('client_id', ctx.clientId)
+      .eq('streak_type', criteria.streak_type || 'workout')
+      .maybeSingle();
+
+    return Math.max(streak?.longest_streak || 0, streak?.current_streak || 0);
+  },
+
+  // {"weight_loss": 5} - kg below the starting weight
+  weight_loss: async (ctx) => {
+    const { data: profile } = await supabaseAchievements
+      .from('user_profiles')
+      .select('starting_weight_kg, current_weight_kg')
+      .eq('user_id', ctx.clientId)
+      .maybeSingle();
+
+    let starting = profile?.starting_weight_kg;
+    if (!starting) {
+      const { data: first } = await supabaseAchievements
+        .from('progress_entries')
+        .select('weight_kg')
+        .eq('client_id', ctx.clientId)
+        .not('weight_kg', 'is', null)
+        .order('entry_date', { ascending: true })
+        .limit(1)
+        .maybeSingle();
+      starting = first?.weight_kg;
+    }
+
+    if (!starting || !profile?.current_weight_kg) return 0;
+    return Math.max(0, Number(starting) - Number(profile.current_weight_kg));
+  },
+
+  // {"personal_records": 3} - sessions where an exercise's top weight beat every earlier session
+  personal_records: async (ctx) => {
+    const workoutIds = (await ctx.completedWorkouts()).map(w => w.id);
+    if (!workoutIds.length) return 0;
+
+    const { data: sets, error } = await supabaseAchievements
+      .from('workout_exercises')
+      .select('workout_id, exercise_id, actual_weight_kg')
+      .in('workout_id', workoutIds)
+      .not('actual_weight_kg', 'is', null);
+
+    if (error) throw error;
+
+    const order = new Map(workoutIds.map((id, index) => [id, index]));
+    sets.sort((a, b) => order.get(a.workout_id) - order.get(b.workout_id));
+
+    const best = {};
+    let records = 0;
+    for (const set of sets) {
+      const top = Math.max(...set.actual_weight_kg.map(Number));
+      if (!isFinite(top) || top <= 0) continue;
+      if (best[set.exercise_id] !== undefined && top > best[set.exercise_id]) records++;
+      best[set.exercise_id] = Math.max(best[set.exercise_id] || 0, top);
+    }
+    return records;
+  },
+
+  // {"nutrition_days_on_target": 7, "calorie_tolerance_pct": 10}
+  nutrition_days_on_target: async (ctx, criteria) => {
+    const tolerance = (criteria.calorie_tolerance_pct || 10) / 100;
+    const plans = await getAchievementPlans(ctx.clientId);
+    if (!plans.length) return 0;
+
+    const { data: logs, error } = await supabaseAchievements
+      .from('nutrition_logs')
+      .select('log_date, calories')
+      .eq('client_id', ctx.clientId);
+
+    if (error) throw error;
+
+    const caloriesByDay = {};
+    logs.forEach(log => {
+      caloriesByDay[log.log_date] = (caloriesByDay[log.log_date] || 0) + (log.calories || 0);
+    });
+
+    return Object.entries(caloriesByDay).filter(([date, calories]) => {
+      const target = achievementPlanForDate(plans, date)?.daily_calories;
+      return target && Math.abs(calories - target) <= target * tolerance;
+    }).length;
+  }
+};
+
+const CRITERIA_KEYS = Object.keys(METRICS);
+
+// Lazily loaded data shared by the metrics in one evaluation
+function evaluationContext(clientId, timezone) {
+  let workouts;
+  return {
+    clientId,
+    timezone,
+    completedWorkouts: async () => {
+      if (!workouts) {
+        const { data, error } = await supabaseAchievements
+          .from('workouts')
+          .select('id, completed_at')
+          .eq('client_id', clientId)
+          .not('completed_at', 'is', null)
+          .order('completed_at', { ascending: true });
+
+        if (error) throw error;
+        workouts = data;
+      }
+      return workouts;
+    }
+  };
+}
+
+async function buildContext(clientId) {
+  const { data: client } = await supabaseAchievements
+    .from('users')
+    .select('timezone')
+    .eq('id', clientId)
+    .maybeSingle();
+
+  return evaluationContext(clientId, client?.timezone || 'UTC');
+}
+
+// { key: { current, target } } for each metric in the criteria
+async function measure(ctx, criteria, cache) {
+  const progress = {};
+  for (const key of Object.keys(criteria || {})) {
+    if (!METRICS[key]) continue;
+
+    // Metrics with modifiers are cached per modifier set
+    const cacheKey = `${key}:${criteria.streak_type || ''}:${criteria.calorie_tolerance_pct || ''}`;
+    if (!cache.has(cacheKey)) cache.set(cacheKey, METRICS[key](ctx, criteria));
+
+    progress[key] = { current: await cache.get(cacheKey), target: criteria[key] };
+  }
+  return progress;
+}
+
+function isEarned(progress) {
+  const entries = Object.values(progress);
+  return entries.length > 0 && entries.every(p => p.current >= p.target);
+}
+
+// Evaluate every unearned achievement and award the ones now met; returns the new awards
+async function checkAchievements(clientId) {
+  const [{ data: achievements }, { data: earned }] = await Promise.all([
+    supabaseAchievements.from('achievements').select('*'),
+    supabaseAchievements.from('client_achievements').select('achievement_id').eq('client_id', clientId)
+  ]);
+
+  const earnedIds = new Set((earned || []).map(e => e.achievement_id));
+  const pending = (achievements || []).filter(a => !earnedIds.has(a.id));
+  if (!pending.length) return [];
+
+  const ctx = await buildContext(clientId);
+  const cache = new Map();
+  const awarded = [];
+
+  for (const achievement of pending) {
+    const progress = await measure(ctx, achievement.criteria, cache);
+    if (!isEarned(progress)) continue;
+
+    // The unique (client_id, achievement_id) key keeps concurrent checks from awarding twice
+    const { data: award, error } = await supabaseAchievements
+      .from('client_achievements')
+      .upsert(
+        { client_id: clientId, achievement_id: achievement.id },
+        { onConflict: 'client_id,achievement_id', ignoreDuplicates: true }
+      )
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!award) continue;
+
+    awarded.push({ ...achievement, earned_at: award.earned_at });
+
+    const { data: notification } = await supabaseAchievements
+      .from('notifications')
+      .insert({
+        user_id: clientId,
+        type: 'achievement',
+        title: `Achievement unlocked: ${achievement.name}`,
+        body: achievement.description,
+        data: { achievement_id: achievement.id, points: achievement.points }
+      })
+      .select()
+      .single();
+
+    await publishAchievementEvent(clientId, 'achievement.earned', { achievement, notification });
+  }
+
+  return awarded;
+}
+
+// Catalogue with earned state and progress for the achievements page
+async function getAchievementProgress(clientId) {
+  const [{ data: achievements, error }, { data: earned }] = await Promise.all([
+    supabaseAchievements.from('achievements').select('*').order('points', { ascending: true }),
+    supabaseAchievements.from('client_achievements').select('achievement_id, earned_at').eq('client_id', clientId)
+  ]);
+
+  if (error) throw error;
+
+  const earnedAt = new Map((earned || []).map(e => [e.achievement_id, e.earned_at]));
+  const ctx = await buildContext(clientId);
+  const cache = new Map();
+
+  const results = [];
+  for (const achievement of achievements) {
+    const progress = await measure(ctx, achievement.criteria, cache);
+    const fractions = Object.values(progress).map(p => Math.min(1, p.current / p.target));
+
+    results.push({
+      ...achievement,
+      earned: earnedAt.has(achievement.id),
+      earned_at: earnedAt.get(achievement.id) || null,
+      progress,
+      percent_complete: earnedAt.has(achievement.id)
+        ? 100
+        : Math.round((fractions.length ? Math.min(...fractions) : 0) * 100)
+    });
+  }
+
+  return results;
+}
+
+module.exports = { checkAchievements, getAchievementProgress, CRITERIA_KEYS };
@@ -27,6 +27,8 @@
 const OpenAI = require('openai');
 const { createClient } = require('@supabase/supabase-js');
 const { verifyToken } = require('./utils/auth');
+const { isBillingRestricted, BILLING_RESTRICTED } = require('./utils/dunning');
+const { publishEvent } = require('./utils/realtime');
 
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
@@ -46,6 +48,14 @@ exports.handler = async (event, context) => {
     };
   }
 
+  // AI features pause once a past-due client's grace period runs out
+  if (await isBillingRestricted(user.userId)) {
+    return {
+      statusCode: 402,
+      body: JSON.stringify(BILLING_RESTRICTED)
+    };
+  }
+
   if (event.httpMethod !== 'POST') {
     return { statusCode: 405, body: 'Method Not Allowed' };
   }
@@ -172,6 +182,12 @@ Requirements:
       .from('workout_exercises')
       .insert(exerciseData);
 
+    await publishEvent(user.userId, 'workout.assigned', {
+      workout_id: savedWorkout.id,
+      name: savedWorkout.name,
+      scheduled_date: savedWorkout.scheduled_date
+    });
+
     // Log token usage for cost tracking
     await supabase
       .from('ai_usage_logs')
@@ -211,6 +227,7 @@ function calculateCost(usage) {
 // =====================================
 const OpenAI = require('openai');
 const { verifyToken } = require('./utils/auth');
+const { isBillingRestricted, BILLING_RESTRICTED } = require('./utils/dunning');
 
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
@@ -225,6 +242,13 @@ exports.handler = async (event, context) => {
     };
   }
 
+  if (await isBillingRestricted(user.userId)) {
+    return {
+      statusCode: 402,
+      body: JSON.stringify(BILLING_RESTRICTED)
+    };
+  }
+
   if (event.httpMethod !== 'POST') {
     return { statusCode: 405, body: 'Method Not Allowed' };
   }
@@ -315,6 +339,8 @@ exports.handler = async (event, context) => {
 const OpenAI = require('openai');
 const { createClient } = require('@supabase/supabase-js');
 const { verifyToken } = require('./utils/auth');
+const { isBillingRestricted, BILLING_RESTRICTED } = require('./utils/dunning');
+const { getZonedParts, addDays } = require('./utils/scheduling');
 
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
@@ -334,6 +360,13 @@ exports.handler = async (event, context) => {
     };
   }
 
+  if (await isBillingRestricted(user.userId)) {
+    return {
+      statusCode: 402,
+      body: JSON.stringify(BILLING_RESTRICTED)
+    };
+  }
+
   try {
     // Get user profile and recent progress
     const { data: profile } = await supabase
@@ -444,16 +477,41 @@ Requirements:
 
     const nutritionPlan = JSON.parse(completion.choices[0].message.content);
 
-    // Save nutrition plan to database
+    // Replace the client's active meal plan; targets drive /nutrition/summary.
+    // The plan starts on the client's today, as nutrition logs are dated.
+    const { data: client } = await supabase
+      .from('users')
+      .select('timezone')
+      .eq('id', user.userId)
+      .maybeSingle();
+
+    const today = getZonedParts(new Date(), client?.timezone || 'UTC').date;
+
     await supabase
-      .from('nutrition_plans')
+      .from('meal_plans')
+      .update({ is_active: false, end_date: addDays(today, -1) })
+      .eq('client_id', user.userId)
+      .eq('is_active', true);
+
+    const { error: planError } = await supabase
+      .from('meal_plans')
       .insert({
-        user_id: user.userId,
-        plan: nutritionPlan,
-        created_at: new Date().toISOString(),
-        active: true
+        client_id: user.userId,
+        name: 'AI nutrition plan',
+        daily_calories: wholeNumber(nutritionPlan.daily_calories),
+        protein_g: wholeNumber(nutritionPlan.macros?.protein_g),
+        carbs_g: wholeNumber(nutritionPlan.macros?.carbs_g),
+        fat_g: wholeNumber(nutritionPlan.macros?.fats_g),
+        fiber_g: wholeNumber(nutritionPlan.macros?.fiber_g),
+        water_ml: parseHydrationMl(nutritionPlan.hydration),
+        plan_details: nutritionPlan,
+        is_ai_generated: true,
+        start_date: today,
+        is_active: true
       });
 
+    if (planError) throw planError;
+
     return {
       statusCode: 200,
       body: JSON.stringify(nutritionPlan)
@@ -467,6 +525,20 @@ Requirements:
   }
 };
 
+// meal_plans targets are INTEGER columns; the model sometimes answers 2150.5 or "180"
+function wholeNumber(value) {
+  const number = Number(value);
+  return value === null || value === undefined || !Number.isFinite(number) ? null : Math.round(number);
+}
+
+// "3.5 liters per day" or "3000 ml" to millilitres
+function parseHydrationMl(hydration) {
+  const match = /([\d.]+)\s*(ml|millilit|l|lit)/i.exec(hydration || '');
+  if (!match) return null;
+  const amount = Number(match[1]);
+  return Math.round(match[2].toLowerCase().startsWith('m') ? amount : amount * 1000);
+}
+
 function analyzeProgressTrend(progress) {
   if (!progress || progress.length < 2) return 'No recent data';
   
@@ -482,6 +554,7 @@ function analyzeProgressTrend(progress) {
 const OpenAI = require('openai');
 const { createClient } = require('@supabase/supabase-js');
 const { verifyToken } = require('./utils/auth');
+const { isBillingRestricted, BILLING_RESTRICTED } = require('./utils/dunning');
 
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
@@ -501,6 +574,13 @@ exports.handler = async (event, context) => {
     };
   }
 
+  if (await isBillingRestricted(user.userId)) {
+    return {
+      statusCode: 402,
+      body: JSON.stringify(BILLING_RESTRICTED)
+    };
+  }
+
   if (event.httpMethod !== 'POST') {
     return { statusCode: 405, body: 'Method Not Allowed' };
   }
@@ -629,6 +709,7 @@ Guidelines:
 const OpenAI = require('openai');
 const { createClient } = require('@supabase/supabase-js');
 const { verifyToken } = require('./utils/auth');
+const { isBillingRestricted, BILLING_RESTRICTED } = require('./utils/dunning');
 
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
@@ -648,6 +729,13 @@ exports.handler = async (event, context) => {
     };
   }
 
+  if (await isBillingRestricted(user.userId)) {
+    return {
+      statusCode: 402,
+      body: JSON.stringify(BILLING_RESTRICTED)
+    };
+  }
+
   try {
     // Get comprehensive user data
     const { data: profile } = await supabase
@@ -779,6 +867,7 @@ function calculateWorkoutFrequency(workouts) {
 // =====================================
 const OpenAI = require('openai');
 const { verifyToken } = require('./utils/auth');
+const { isBillingRestricted, BILLING_RESTRICTED } = require('./utils/dunning');
 
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
@@ -793,6 +882,13 @@ exports.handler = async (event, context) => {
     };
   }
 
+  if (await isBillingRestricted(user.userId)) {
+    return {
+      statusCode: 402,
+      body: JSON.stringify(BILLING_RESTRICTED)
+    };
+  }
+
   try {
     const { 
       symptoms, 
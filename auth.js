@@ -0,0 +1,977 @@
+// =========================================
+// /netlify/functions/auth.js
+// Login, registration, refresh token rotation, emailed account links and 2FA
+// =========================================
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createClient } = require('@supabase/supabase-js');
+const bcrypt = require('bcryptjs');
+const { verifyToken, issueAccessToken, hasRecentMfa, STEP_UP_REQUIRED } = require('./utils/auth');
+const { readAccountToken, consumeAccountToken, sendAccountEmail } = require('./utils/account-tokens');
+const { createEnrollment, matchTotp, generateRecoveryCodes, verifySecondFactor, secondFactorLockedUntil } = require('./utils/two-factor');
+const { logActivity } = require('./utils/activity');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+const TRIAL_DAYS = 14;
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+const MFA_LOGIN_TTL = '5m'; // time allowed between the password and the code
+
+// Compared against when the username doesn't exist so both failures take as long
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', BCRYPT_ROUNDS);
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  const path = event.path.replace('/.netlify/functions/auth/', '');
+  const method = event.httpMethod;
+  const user = verifyToken(event.headers.authorization);
+
+  try {
+    // Username or email plus password; the role comes from the account
+    if (path === 'login' && method === 'POST') {
+      const { username, password } = JSON.parse(event.body || '{}');
+
+      if (!username || !password) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'username and password are required' })
+        };
+      }
+
+      const identifier = username.trim().toLowerCase();
+      const { data: account } = await supabase
+        .from('users')
+        .select('*, profile:user_profiles(first_name, last_name)')
+        .eq(identifier.includes('@') ? 'email' : 'username', identifier)
+        .maybeSingle();
+
+      const validPassword = await bcrypt.compare(password, account?.password_hash || DUMMY_HASH);
+      if (!account || !validPassword) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Invalid credentials' })
+        };
+      }
+
+      if (!account.is_active) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Account is deactivated' })
+        };
+      }
+
+      // Password is right; with 2FA on, the session waits for 2fa/verify
+      if (account.totp_enabled) {
+        const mfaToken = jwt.sign(
+          { sub: account.id, purpose: 'mfa_login' },
+          process.env.JWT_SECRET,
+          { expiresIn: MFA_LOGIN_TTL }
+        );
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ mfa_required: true, mfa_token: mfaToken })
+        };
+      }
+
+      await recordLogin(account, event);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(await sessionFor(account))
+      };
+    }
+
+    // Clients sign themselves up; admin accounts are never created here
+    if (path === 'register' && method === 'POST') {
+      const registration = JSON.parse(event.body || '{}');
+
+      if (registration.role && registration.role !== 'client') {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Only client accounts can be registered' })
+        };
+      }
+
+      const validationError = validateRegistration(registration);
+      if (validationError) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: validationError })
+        };
+      }
+
+      const email = registration.email.trim().toLowerCase();
+      const username = registration.username
+        ? registration.username.trim().toLowerCase()
+        : email.split('@')[0].replace(/[^a-z0-9_.-]/g, '');
+
+      const [{ data: emailTaken }, { data: usernameTaken }] = await Promise.all([
+        supabase.from('users').select('id').eq('email', email).maybeSingle(),
+        supabase.from('users').select('id').eq('username', username).maybeSingle()
+      ]);
+
+      if (emailTaken || usernameTaken) {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({ error: emailTaken ? 'Email is already registered' : 'Username is taken' })
+        };
+      }
+
+      const { data: account, error } = await supabase
+        .from('users')
+        .insert({
+          email,
+          username,
+          password_hash: await bcrypt.hash(registration.password, BCRYPT_ROUNDS),
+          role: 'client',
+          phone: registration.phone,
+          timezone: registration.timezone || 'UTC',
+          subscription_plan: 'trial',
+          subscription_status: 'trialing',
+          trial_ends_at: new Date(Date.now() + TRIAL_DAYS * 24 * 60 * 60 * 1000)
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      const profile = {
+        first_name: registration.firstName || registration.first_name,
+        last_name: registration.lastName || registration.last_name
+      };
+
+      await supabase
+        .from('user_profiles')
+        .insert({ user_id: account.id, ...profile });
+
+      try {
+        await sendAccountEmail(account, 'email_verification', profile.first_name);
+      } catch (mailError) {
+        console.error('Verification email failed:', mailError);
+      }
+
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify(await sessionFor({ ...account, profile }))
+      };
+    }
+
+    // Swap a refresh token for a new access token and a new refresh token.
+    // Each refresh token works once; presenting a spent one means it leaked,
+    // so every token descended from the same login is revoked.
+    if (path === 'refresh' && method === 'POST') {
+      const { refresh_token } = JSON.parse(event.body || '{}');
+      const unauthorized = (error) => ({
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error })
+      });
+
+      if (!refresh_token) return unauthorized('refresh_token is required');
+
+      const { data: stored } = await supabase
+        .from('refresh_tokens')
+        .select('*')
+        .eq('token_hash', hashToken(refresh_token))
+        .maybeSingle();
+
+      if (!stored) return unauthorized('Invalid refresh token');
+
+      if (stored.revoked_at) {
+        await revokeFamily(stored.family_id);
+        return unauthorized('Refresh token reuse detected; please log in again');
+      }
+
+      if (new Date(stored.expires_at) <= new Date()) {
+        return unauthorized('Refresh token expired');
+      }
+
+      // Claim it; a concurrent refresh that loses the race counts as reuse
+      const { data: claimed } = await supabase
+        .from('refresh_tokens')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', stored.id)
+        .is('revoked_at', null)
+        .select('id');
+
+      if (!claimed?.length) {
+        await revokeFamily(stored.family_id);
+        return unauthorized('Refresh token reuse detected; please log in again');
+      }
+
+      const { data: account } = await supabase
+        .from('users')
+        .select('*, profile:user_profiles(first_name, last_name)')
+        .eq('id', stored.user_id)
+        .maybeSingle();
+
+      if (!account || !account.is_active) {
+        await revokeFamily(stored.family_id);
+        return unauthorized('Account is deactivated');
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(await sessionFor(account, { rotatedFrom: stored }))
+      };
+    }
+
+    // Revoke the refresh token (and its rotations) on sign-out
+    if (path === 'logout' && method === 'POST') {
+      const { refresh_token } = JSON.parse(event.body || '{}');
+
+      if (refresh_token) {
+        const { data: stored } = await supabase
+          .from('refresh_tokens')
+          .select('family_id')
+          .eq('token_hash', hashToken(refresh_token))
+          .maybeSingle();
+
+        if (stored) await revokeFamily(stored.family_id);
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true })
+      };
+    }
+
+    // Confirm the address from the emailed link
+    if (path === 'verify-email' && method === 'POST') {
+      const { token } = JSON.parse(event.body || '{}');
+      const userId = await consumeAccountToken(token, 'email_verification');
+
+      if (!userId) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'This verification link is invalid or has expired' })
+        };
+      }
+
+      await supabase
+        .from('users')
+        .update({ email_verified: true, updated_at: new Date().toISOString() })
+        .eq('id', userId);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true })
+      };
+    }
+
+    // Send a fresh verification link to the signed-in user
+    if (path === 'resend-verification' && method === 'POST') {
+      if (!user) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Unauthorized' })
+        };
+      }
+
+      const { data: account } = await supabase
+        .from('users')
+        .select('id, email, username, email_verified, profile:user_profiles(first_name)')
+        .eq('id', user.userId)
+        .single();
+
+      if (!account.email_verified) {
+        const profile = Array.isArray(account.profile) ? account.profile[0] : account.profile;
+        await sendAccountEmail(account, 'email_verification', profile?.first_name);
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true, already_verified: account.email_verified })
+      };
+    }
+
+    // Always succeeds so the response doesn't reveal which emails have accounts
+    if (path === 'forgot-password' && method === 'POST') {
+      const { email } = JSON.parse(event.body || '{}');
+
+      if (email) {
+        const { data: account } = await supabase
+          .from('users')
+          .select('id, email, username, is_active, profile:user_profiles(first_name)')
+          .eq('email', email.trim().toLowerCase())
+          .maybeSingle();
+
+        if (account?.is_active) {
+          const profile = Array.isArray(account.profile) ? account.profile[0] : account.profile;
+          await sendAccountEmail(account, 'password_reset', profile?.first_name);
+        }
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true })
+      };
+    }
+
+    // Choose a new password from a reset link, or a first password from an invitation
+    if ((path === 'reset-password' || path === 'accept-invitation') && method === 'POST') {
+      const { token, password } = JSON.parse(event.body || '{}');
+      const purpose = path === 'reset-password' ? 'password_reset' : 'invitation';
+
+      if (!password || password.length < MIN_PASSWORD_LENGTH) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` })
+        };
+      }
+
+      const claims = readAccountToken(token, purpose);
+      const owner = claims && await getAccount(claims.sub);
+
+      // A deactivated account keeps its password and its unused link
+      if (owner && !owner.is_active) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Account is deactivated' })
+        };
+      }
+
+      const userId = owner && await consumeAccountToken(token, purpose);
+      if (!userId) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'This link is invalid or has expired' })
+        };
+      }
+
+      // Following the emailed link also proves the address
+      const { data: account, error } = await supabase
+        .from('users')
+        .update({
+          password_hash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+          email_verified: true,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', userId)
+        .select('*, profile:user_profiles(first_name, last_name)')
+        .single();
+
+      if (error) throw error;
+
+      // Sessions started with the old password end here
+      await supabase
+        .from('refresh_tokens')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .is('revoked_at', null);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(await sessionFor(account))
+      };
+    }
+
+    // Second step of a 2FA login: TOTP code or a recovery code
+    if (path === '2fa/verify' && method === 'POST') {
+      const { mfa_token, code, recovery_code } = JSON.parse(event.body || '{}');
+
+      let claims;
+      try {
+        claims = jwt.verify(mfa_token || '', process.env.JWT_SECRET);
+      } catch (error) {
+        claims = null;
+      }
+
+      if (!claims || claims.purpose !== 'mfa_login') {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Login expired; enter your password again' })
+        };
+      }
+
+      const account = await getAccount(claims.sub);
+      if (secondFactorLockedUntil(account)) {
+        return secondFactorLockedResponse(account, headers);
+      }
+
+      if (!account?.is_active || !await verifySecondFactor(account, { code, recovery_code })) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Invalid verification code' })
+        };
+      }
+
+      await recordLogin(account, event);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(await sessionFor(account, { mfaAt: nowSeconds() }))
+      };
+    }
+
+    // Everything below manages the signed-in user's own second factor
+    if (path.startsWith('2fa/') && !user) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Unauthorized' })
+      };
+    }
+
+    // Start enrollment: a new secret to scan; nothing changes until 2fa/enable
+    if (path === '2fa/setup' && method === 'POST') {
+      const account = await getAccount(user.userId);
+
+      if (account.totp_enabled) {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({ error: 'Two-factor authentication is already enabled' })
+        };
+      }
+
+      const enrollment = await createEnrollment(account);
+
+      await supabase
+        .from('users')
+        .update({ totp_secret: enrollment.secret, totp_last_step: null })
+        .eq('id', account.id);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(enrollment)
+      };
+    }
+
+    // Finish enrollment by proving the authenticator app works
+    if (path === '2fa/enable' && method === 'POST') {
+      const { code } = JSON.parse(event.body || '{}');
+      const account = await getAccount(user.userId);
+      const step = account.totp_secret && !account.totp_enabled
+        ? matchTotp(account.totp_secret, code)
+        : null;
+
+      if (step === null) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: account.totp_enabled ? 'Two-factor authentication is already enabled' : 'Invalid verification code' })
+        };
+      }
+
+      await supabase
+        .from('users')
+        .update({ totp_enabled: true, totp_enrolled_at: new Date().toISOString(), totp_last_step: step })
+        .eq('id', account.id);
+
+      const recoveryCodes = await generateRecoveryCodes(account.id);
+      const { token, expiresIn } = issueAccessToken(account, { mfa_at: nowSeconds() });
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ recovery_codes: recoveryCodes, token, expires_in: expiresIn })
+      };
+    }
+
+    // Re-verify before sensitive actions; returns an access token marked with the time
+    if (path === '2fa/step-up' && method === 'POST') {
+      const account = await getAccount(user.userId);
+
+      if (secondFactorLockedUntil(account)) {
+        return secondFactorLockedResponse(account, headers);
+      }
+
+      if (!await verifySecondFactor(account, JSON.parse(event.body || '{}'))) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: account.totp_enabled ? 'Invalid verification code' : 'Set up two-factor authentication first' })
+        };
+      }
+
+      const { token, expiresIn } = issueAccessToken(account, { mfa_at: nowSeconds() });
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ token, expires_in: expiresIn })
+      };
+    }
+
+    // Replace recovery codes, or turn 2FA off; both need a fresh second factor
+    if ((path === '2fa/recovery-codes' || path === '2fa/disable') && method === 'POST') {
+      if (!hasRecentMfa(user)) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify(STEP_UP_REQUIRED)
+        };
+      }
+
+      if (path === '2fa/recovery-codes') {
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ recovery_codes: await generateRecoveryCodes(user.userId) })
+        };
+      }
+
+      await supabase
+        .from('users')
+        .update({ totp_enabled: false, totp_secret: null, totp_enrolled_at: null, totp_last_step: null })
+        .eq('id', user.userId);
+
+      await supabase.from('recovery_codes').delete().eq('user_id', user.userId);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true })
+      };
+    }
+
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Not found' })
+    };
+
+  } catch (error) {
+    console.error('Auth error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
+
+// Helper functions
+// Access token plus a refresh token; when rotating, the new refresh token joins
+// the spent one's family so reuse detection can revoke the whole chain.
+// mfaAt marks the token as carrying a just-verified second factor.
+async function sessionFor(account, { rotatedFrom = null, mfaAt = null } = {}) {
+  const { token, expiresIn } = issueAccessToken(account, mfaAt ? { mfa_at: mfaAt } : {});
+  const profile = Array.isArray(account.profile) ? account.profile[0] : account.profile;
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  const { data: stored, error } = await supabase
+    .from('refresh_tokens')
+    .insert({
+      user_id: account.id,
+      family_id: rotatedFrom ? rotatedFrom.family_id : crypto.randomUUID(),
+      token_hash: hashToken(refreshToken),
+      expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    })
+    .select('id')
+    .single();
+
+  if (error) throw error;
+
+  if (rotatedFrom) {
+    await supabase
+      .from('refresh_tokens')
+      .update({ replaced_by: stored.id })
+      .eq('id', rotatedFrom.id);
+  }
+
+  return {
+    token,
+    expires_in: expiresIn,
+    refresh_token: refreshToken,
+    user: {
+      id: account.id,
+      username: account.username,
+      email: account.email,
+      role: account.role,
+      first_name: profile?.first_name || null,
+      last_name: profile?.last_name || null
+    }
+  };
+}
+
+async function recordLogin(account, event) {
+  await supabase
+    .from('users')
+    .update({ last_login: new Date().toISOString() })
+    .eq('id', account.id);
+
+  await logActivity({
+    action: 'login',
+    actorId: account.id,
+    clientId: account.role === 'client' ? account.id : null,
+    targetType: 'user',
+    targetId: account.id,
+    details: { second_factor: Boolean(account.totp_enabled) },
+    event
+  });
+}
+
+async function getAccount(userId) {
+  const { data: account } = await supabase
+    .from('users')
+    .select('*, profile:user_profiles(first_name, last_name)')
+    .eq('id', userId)
+    .maybeSingle();
+
+  return account;
+}
+
+function secondFactorLockedResponse(account, headers) {
+  const minutes = Math.ceil((secondFactorLockedUntil(account) - new Date()) / 60000);
+
+  return {
+    statusCode: 429,
+    headers,
+    body: JSON.stringify({
+      error: `Too many incorrect codes. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+      code: 'mfa_locked'
+    })
+  };
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// Only hashes are stored, so a database leak doesn't hand out sessions
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function revokeFamily(familyId) {
+  await supabase
+    .from('refresh_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('family_id', familyId)
+    .is('revoked_at', null);
+}
+
+function validateRegistration(registration) {
+  const { email, username, password } = registration;
+
+  if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+    return 'A valid email is required';
+  }
+  if (username && !/^[a-zA-Z0-9_.-]{3,100}$/.test(username.trim())) {
+    return 'username must be 3-100 letters, numbers, dots, dashes or underscores';
+  }
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+// =========================================
+// /netlify/functions/utils/account-tokens.js
+// Signed, single-use links for email verification, invitations and password resets
+// =========================================
+const { createClient: createAccountTokenClient } = require('@supabase/supabase-js');
+const jwtAccount = require('jsonwebtoken');
+const { sendMail } = require('./mailer');
+
+const supabaseAccountTokens = createAccountTokenClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// How long each link works, and the page it opens
+const ACCOUNT_TOKEN_PURPOSES = {
+  email_verification: { ttl: '48h', page: 'verify-email' },
+  invitation: { ttl: '7d', page: 'accept-invitation' },
+  password_reset: { ttl: '1h', page: 'reset-password' }
+};
+
+// The JWT signature and expiry make the link tamper-proof; the account_tokens
+// row makes it single-use and lets a newer link replace an older one
+async function issueAccountToken(userId, purpose) {
+  const { ttl } = ACCOUNT_TOKEN_PURPOSES[purpose];
+
+  await supabaseAccountTokens
+    .from('account_tokens')
+    .delete()
+    .eq('user_id', userId)
+    .eq('purpose', purpose)
+    .is('used_at', null);
+
+  const { data: row, error } = await supabaseAccountTokens
+    .from('account_tokens')
+    .insert({ user_id: userId, purpose })
+    .select('id')
+    .single();
+
+  if (error) throw error;
+
+  return jwtAccount.sign(
+    { tid: row.id, sub: userId, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: ttl }
+  );
+}
+
+// Returns the user id, or null if the link is forged, expired, used or replaced
+// Signature, expiry and purpose only; says whose link it is without using it up
+function readAccountToken(token, purpose) {
+  let claims;
+  try {
+    claims = jwtAccount.verify(token || '', process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  return claims.purpose === purpose && claims.tid ? claims : null;
+}
+
+async function consumeAccountToken(token, purpose) {
+  const claims = readAccountToken(token, purpose);
+  if (!claims) return null;
+
+  const { data: used } = await supabaseAccountTokens
+    .from('account_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('id', claims.tid)
+    .eq('user_id', claims.sub)
+    .eq('purpose', purpose)
+    .is('used_at', null)
+    .select('user_id');
+
+  return used?.length ? used[0].user_id : null;
+}
+
+const ACCOUNT_EMAILS = {
+  email_verification: (name, link) => ({
+    subject: 'Confirm your email address',
+    text: `Hi ${name},\n\nPlease confirm your email address:\n${link}\n\nThis link expires in 48 hours.`
+  }),
+  invitation: (name, link) => ({
+    subject: 'Your training account is ready',
+    text: `Hi ${name},\n\nYour coach has set up an account for you. Choose a password to get started:\n${link}\n\nThis link expires in 7 days.`
+  }),
+  password_reset: (name, link) => ({
+    subject: 'Reset your password',
+    text: `Hi ${name},\n\nUse this link to choose a new password:\n${link}\n\nIt expires in 1 hour. If you didn't ask for a reset, you can ignore this email.`
+  })
+};
+
+async function sendAccountEmail(user, purpose, firstName) {
+  const token = await issueAccountToken(user.id, purpose);
+  const link = `${process.env.SITE_URL}/${ACCOUNT_TOKEN_PURPOSES[purpose].page}?token=${encodeURIComponent(token)}`;
+  const { subject, text } = ACCOUNT_EMAILS[purpose](firstName || user.username, link);
+
+  await sendMail({ to: user.email, subject, text });
+}
+
+module.exports = { issueAccountToken, readAccountToken, consumeAccountToken, sendAccountEmail };
+
+// =========================================
+// /netlify/functions/utils/two-factor.js
+// TOTP (RFC 6238) second factor and one-time recovery codes
+// =========================================
+const cryptoTwoFactor = require('crypto');
+const QRCode = require('qrcode');
+const { createClient: createTwoFactorClient } = require('@supabase/supabase-js');
+
+const supabaseTwoFactor = createTwoFactorClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1; // accept the previous and next code for clock skew
+const RECOVERY_CODE_COUNT = 10;
+const MAX_SECOND_FACTOR_FAILURES = 5; // each this many wrong codes locks the factor
+const SECOND_FACTOR_LOCK_MINUTES = 15;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(encoded) {
+  let bits = '';
+  for (const char of encoded.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+function totpAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = cryptoTwoFactor.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+// The matching time step, or null; callers store it so a code can't be replayed
+function matchTotp(secret, code, now = Date.now()) {
+  const current = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(candidate)) return null;
+
+  for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift++) {
+    const expected = totpAt(secret, current + drift);
+    if (expected.length === candidate.length &&
+        cryptoTwoFactor.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return current + drift;
+    }
+  }
+  return null;
+}
+
+async function createEnrollment(account) {
+  const secret = base32Encode(cryptoTwoFactor.randomBytes(20));
+  const issuer = process.env.TOTP_ISSUER || 'Fitness Platform';
+  const label = encodeURIComponent(`${issuer}:${account.email}`);
+  const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+    `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+
+  return { secret, otpauth_url: otpauthUrl, qr_code: await QRCode.toDataURL(otpauthUrl) };
+}
+
+function hashRecoveryCode(code) {
+  return cryptoTwoFactor.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+}
+
+// Replaces any existing codes; the plain codes are only ever shown once
+async function generateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = cryptoTwoFactor.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await supabaseTwoFactor.from('recovery_codes').delete().eq('user_id', userId);
+
+  const { error } = await supabaseTwoFactor
+    .from('recovery_codes')
+    .insert(codes.map(code => ({ user_id: userId, code_hash: hashRecoveryCode(code) })));
+
+  if (error) throw error;
+  return codes;
+}
+
+// Set while too many wrong codes have been tried; nothing is accepted until then
+function secondFactorLockedUntil(account) {
+  const lockedUntil = account?.totp_locked_until ? new Date(account.totp_locked_until) : null;
+  return lockedUntil && lockedUntil > new Date() ? lockedUntil : null;
+}
+
+// Accepts a current TOTP code or an unused recovery code. Failures are counted
+// per user, so a stolen password or session can't be used to guess codes.
+async function verifySecondFactor(account, { code, recovery_code }) {
+  if (!account.totp_enabled || !account.totp_secret) return false;
+  if (secondFactorLockedUntil(account)) return false;
+
+  const verified = await checkSecondFactor(account, { code, recovery_code });
+  await recordSecondFactorAttempt(account, verified);
+  return verified;
+}
+
+async function checkSecondFactor(account, { code, recovery_code }) {
+  if (recovery_code) {
+    const { data: used } = await supabaseTwoFactor
+      .from('recovery_codes')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', account.id)
+      .eq('code_hash', hashRecoveryCode(recovery_code))
+      .is('used_at', null)
+      .select('id');
+
+    return Boolean(used?.length);
+  }
+
+  const step = matchTotp(account.totp_secret, code);
+  if (step === null) return false;
+
+  const { data: claimed } = await supabaseTwoFactor
+    .from('users')
+    .update({ totp_last_step: step })
+    .eq('id', account.id)
+    .or(`totp_last_step.is.null,totp_last_step.lt.${step}`)
+    .select('id');
+
+  return Boolean(claimed?.length);
+}
+
+async function recordSecondFactorAttempt(account, verified) {
+  if (verified) {
+    if (!account.totp_failed_attempts) return;
+
+    // Conditional on the count we read, so a wrong guess landing meanwhile still counts
+    const { error } = await supabaseTwoFactor
+      .from('users')
+      .update({ totp_failed_attempts: 0, totp_locked_until: null })
+      .eq('id', account.id)
+      .eq('totp_failed_attempts', account.totp_failed_attempts);
+
+    if (error) throw error;
+    return;
+  }
+
+  // Incremented in the database, so guesses sent in parallel each count
+  const { data: failures, error } = await supabaseTwoFactor
+    .rpc('record_second_factor_failure', { p_user_id: account.id });
+
+  if (error) throw error;
+
+  // Every MAX_SECOND_FACTOR_FAILURES-th failure locks; exactly one request sees it
+  if (failures % MAX_SECOND_FACTOR_FAILURES === 0) {
+    const { error: lockError } = await supabaseTwoFactor
+      .from('users')
+      .update({ totp_locked_until: new Date(Date.now() + SECOND_FACTOR_LOCK_MINUTES * 60000).toISOString() })
+      .eq('id', account.id);
+
+    if (lockError) throw lockError;
+  }
+}
+
+module.exports = { createEnrollment, matchTotp, generateRecoveryCodes, verifySecondFactor, secondFactorLockedUntil };
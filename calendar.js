@@ -0,0 +1,1696 @@
+// =========================================
+// /netlify/functions/calendar.js
+// Session scheduling over calendar_events
+// =========================================
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken, requireAdmin } = require('./utils/auth');
+const {
+  getZonedParts,
+  zonedTimeToDate,
+  timeToMinutes,
+  addDays,
+  rangesOverlap
+} = require('./utils/scheduling');
+const {
+  parseRule,
+  normalizeRule,
+  expandSeries,
+  truncateRule,
+  continueRule,
+  materializeSeries,
+  getSeriesHorizon
+} = require('./utils/recurrence');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const EVENT_TYPES = ['session', 'check_in', 'consultation', 'measurement'];
+const SLOT_STEP_MINUTES = 15;
+const MAX_SLOT_SEARCH_DAYS = 31;
+
+// Postgres exclusion_violation, raised by the no-overlap constraint
+const OVERLAP_ERROR_CODE = '23P01';
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  const user = verifyToken(event.headers.authorization);
+  if (!user) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+
+  const isAdmin = requireAdmin(user);
+  const path = event.path.replace('/.netlify/functions/calendar/', '');
+  const method = event.httpMethod;
+
+  try {
+    // Create (or rotate) the caller's calendar subscription link
+    if (path === 'feed' && method === 'POST') {
+      const token = crypto.randomBytes(32).toString('hex');
+
+      // Only one live link per user; older ones stop working
+      await supabase
+        .from('calendar_feed_tokens')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('user_id', user.userId)
+        .is('revoked_at', null);
+
+      const { error } = await supabase
+        .from('calendar_feed_tokens')
+        .insert({
+          user_id: user.userId,
+          token_hash: hashFeedToken(token)
+        });
+
+      if (error) throw error;
+
+      const feedUrl = `${process.env.SITE_URL}/.netlify/functions/calendar-feed/${token}.ics`;
+
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify({
+          url: feedUrl,
+          webcalUrl: feedUrl.replace(/^https?:/, 'webcal:')
+        })
+      };
+    }
+
+    // Revoke the caller's calendar subscription link (login is unaffected)
+    if (path === 'feed' && method === 'DELETE') {
+      await supabase
+        .from('calendar_feed_tokens')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('user_id', user.userId)
+        .is('revoked_at', null);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true })
+      };
+    }
+
+    // Upcoming sessions (all clients for the trainer, own sessions for a client)
+    if (path === 'upcoming' && method === 'GET') {
+      const { limit = 10 } = event.queryStringParameters || {};
+
+      let query = supabase
+        .from('calendar_events')
+        .select(`
+          *,
+          client:users(email, profile:user_profiles(first_name, last_name))
+        `)
+        .eq('status', 'scheduled')
+        .gte('start_time', new Date().toISOString())
+        .order('start_time', { ascending: true })
+        .limit(Number(limit));
+
+      if (!isAdmin) {
+        query = query.eq('client_id', user.userId);
+      }
+
+      const { data: sessions, error } = await query;
+      if (error) throw error;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(sessions)
+      };
+    }
+
+    // Events in a date range, any status
+    if (path === 'events' && method === 'GET') {
+      const { from, to, client_id } = event.queryStringParameters || {};
+
+      let query = supabase
+        .from('calendar_events')
+        .select('*')
+        .order('start_time', { ascending: true });
+
+      if (from) query = query.gte('start_time', new Date(from).toISOString());
+      if (to) query = query.lt('start_time', new Date(to).toISOString());
+
+      if (!isAdmin) {
+        query = query.eq('client_id', user.userId);
+      } else if (client_id) {
+        query = query.eq('client_id', client_id);
+      }
+
+      const { data: events, error } = await query;
+      if (error) throw error;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(events)
+      };
+    }
+
+    // Trainer availability windows
+    if (path === 'availability' && method === 'GET') {
+      const windows = await getAvailabilityWindows();
+      const timezone = await getTrainerTimezone();
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ timezone, windows })
+      };
+    }
+
+    // Replace trainer availability windows (admin only)
+    if (path === 'availability' && method === 'PUT') {
+      if (!isAdmin) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Admin access required' })
+        };
+      }
+
+      const { windows = [] } = JSON.parse(event.body);
+
+      const invalid = windows.find(w =>
+        !(w.day_of_week >= 0 && w.day_of_week <= 6) ||
+        timeToMinutes(w.start_time) >= timeToMinutes(w.end_time)
+      );
+      if (invalid) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Each window needs a day_of_week (0-6) and start_time before end_time' })
+        };
+      }
+
+      // New windows go in before the old ones come out, so a failure part way
+      // leaves the previous availability (at worst alongside the new) rather than none
+      const { data: previous, error: previousError } = await supabase
+        .from('trainer_availability')
+        .select('id');
+
+      if (previousError) throw previousError;
+
+      if (windows.length > 0) {
+        const { error } = await supabase
+          .from('trainer_availability')
+          .insert(windows.map(w => ({
+            day_of_week: w.day_of_week,
+            start_time: w.start_time,
+            end_time: w.end_time
+          })));
+
+        if (error) throw error;
+      }
+
+      if (previous.length > 0) {
+        const { error } = await supabase
+          .from('trainer_availability')
+          .delete()
+          .in('id', previous.map(w => w.id));
+
+        if (error) throw error;
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ windows: await getAvailabilityWindows() })
+      };
+    }
+
+    // Durations and buffers per event type
+    if (path === 'event-types' && method === 'GET') {
+      const { data: eventTypes } = await supabase
+        .from('event_type_settings')
+        .select('*')
+        .order('event_type', { ascending: true });
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(eventTypes)
+      };
+    }
+
+    // Update durations and buffers (admin only)
+    if (path === 'event-types' && method === 'PUT') {
+      if (!isAdmin) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Admin access required' })
+        };
+      }
+
+      const { event_types: eventTypes = [] } = JSON.parse(event.body);
+
+      const invalid = eventTypes.find(t =>
+        !EVENT_TYPES.includes(t.event_type) ||
+        !(t.duration_minutes > 0) ||
+        !(t.buffer_minutes >= 0)
+      );
+      if (invalid) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: `Unknown event type or invalid duration: ${invalid.event_type}` })
+        };
+      }
+
+      const { data: updated, error } = await supabase
+        .from('event_type_settings')
+        .upsert(eventTypes.map(t => ({
+          event_type: t.event_type,
+          duration_minutes: t.duration_minutes,
+          buffer_minutes: t.buffer_minutes
+        })))
+        .select();
+
+      if (error) throw error;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(updated)
+      };
+    }
+
+    // Blackout dates
+    if (path === 'blackouts' && method === 'GET') {
+      const { data: blackouts } = await supabase
+        .from('trainer_blackouts')
+        .select('*')
+        .gte('ends_on', new Date().toISOString().split('T')[0])
+        .order('starts_on', { ascending: true });
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(blackouts)
+      };
+    }
+
+    // Add a blackout period (admin only)
+    if (path === 'blackouts' && method === 'POST') {
+      if (!isAdmin) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Admin access required' })
+        };
+      }
+
+      const { starts_on, ends_on, reason } = JSON.parse(event.body);
+
+      if (!starts_on || (ends_on && ends_on < starts_on)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'starts_on is required and must not be after ends_on' })
+        };
+      }
+
+      const { data: blackout, error } = await supabase
+        .from('trainer_blackouts')
+        .insert({ starts_on, ends_on: ends_on || starts_on, reason })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify(blackout)
+      };
+    }
+
+    // Remove a blackout period (admin only)
+    const blackoutMatch = path.match(/^blackouts\/([^/]+)$/);
+    if (blackoutMatch && method === 'DELETE') {
+      if (!isAdmin) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Admin access required' })
+        };
+      }
+
+      await supabase
+        .from('trainer_blackouts')
+        .delete()
+        .eq('id', blackoutMatch[1]);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true })
+      };
+    }
+
+    // Open slots for a date range
+    if (path === 'slots' && method === 'GET') {
+      const { from, to, event_type = 'session' } = event.queryStringParameters || {};
+
+      if (!from || !EVENT_TYPES.includes(event_type)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'from (YYYY-MM-DD) and a valid event_type are required' })
+        };
+      }
+
+      const lastDate = to || from;
+      const dayCount = Math.round((new Date(lastDate) - new Date(from)) / 86400000) + 1;
+      if (!(dayCount > 0) || dayCount > MAX_SLOT_SEARCH_DAYS) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: `Date range must cover 1 to ${MAX_SLOT_SEARCH_DAYS} days` })
+        };
+      }
+
+      const slots = await findOpenSlots(from, lastDate, event_type);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          timezone: await getTrainerTimezone(),
+          event_type,
+          slots
+        })
+      };
+    }
+
+    // Create an event (trainer) or book a session (client)
+    if (path === 'events' && method === 'POST') {
+      const eventData = JSON.parse(event.body);
+      const eventType = isAdmin ? eventData.event_type || 'session' : 'session';
+
+      if (!EVENT_TYPES.includes(eventType)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: `Unknown event_type: ${eventType}` })
+        };
+      }
+
+      const typeSettings = await getEventTypeSettings(eventType);
+
+      // Clients always get the configured duration for the event type
+      const startTime = new Date(eventData.start_time);
+      const endTime = isAdmin && eventData.end_time
+        ? new Date(eventData.end_time)
+        : new Date(startTime.getTime() + typeSettings.duration_minutes * 60000);
+
+      const validationError = validateTimes(startTime, endTime);
+      if (validationError) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: validationError })
+        };
+      }
+
+      if (!isAdmin && !(await isWithinAvailability(startTime, endTime))) {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({ error: 'Requested time is outside the trainer\'s availability' })
+        };
+      }
+
+      if (isAdmin && !eventData.client_id) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'client_id is required' })
+        };
+      }
+
+      const { data: newEvent, error } = await supabase
+        .from('calendar_events')
+        .insert({
+          client_id: isAdmin ? eventData.client_id : user.userId,
+          event_type: eventType,
+          title: eventData.title || 'Training Session',
+          description: eventData.description,
+          start_time: startTime.toISOString(),
+          end_time: endTime.toISOString(),
+          location: eventData.location,
+          is_virtual: eventData.is_virtual || false,
+          meeting_link: eventData.meeting_link,
+          notes: eventData.notes,
+          buffer_minutes: typeSettings.buffer_minutes
+        })
+        .select()
+        .single();
+
+      if (error?.code === OVERLAP_ERROR_CODE) {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({ error: 'That time overlaps another booking' })
+        };
+      }
+      if (error) throw error;
+
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify(newEvent)
+      };
+    }
+
+    // Recurring series for a client (admin only)
+    if (path === 'series' && method === 'POST') {
+      if (!isAdmin) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Admin access required' })
+        };
+      }
+
+      const seriesData = JSON.parse(event.body);
+      const eventType = seriesData.event_type || 'session';
+      const startTime = new Date(seriesData.start_time);
+
+      if (!seriesData.client_id || !seriesData.rrule || !EVENT_TYPES.includes(eventType)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'client_id, rrule and a valid event_type are required' })
+        };
+      }
+
+      const typeSettings = await getEventTypeSettings(eventType);
+      const durationMinutes = seriesData.end_time
+        ? Math.round((new Date(seriesData.end_time) - startTime) / 60000)
+        : typeSettings.duration_minutes;
+
+      const validationError = validateTimes(startTime, new Date(startTime.getTime() + durationMinutes * 60000));
+      if (validationError) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: validationError })
+        };
+      }
+
+      try {
+        parseRule(seriesData.rrule);
+      } catch (err) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: `Invalid rrule: ${err.message}` })
+        };
+      }
+
+      const seriesRow = {
+        client_id: seriesData.client_id,
+        event_type: eventType,
+        title: seriesData.title || 'Training Session',
+        description: seriesData.description,
+        location: seriesData.location,
+        is_virtual: seriesData.is_virtual || false,
+        meeting_link: seriesData.meeting_link,
+        rrule: normalizeRule(seriesData.rrule),
+        dtstart: startTime.toISOString(),
+        timezone: seriesData.timezone || await getTrainerTimezone(),
+        duration_minutes: durationMinutes,
+        buffer_minutes: typeSettings.buffer_minutes
+      };
+
+      const conflicts = await findSeriesConflicts(seriesRow, startTime);
+      if (conflicts.length > 0) {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({ error: 'Some occurrences overlap other bookings', conflicts })
+        };
+      }
+
+      const { data: series, error } = await supabase
+        .from('calendar_series')
+        .insert(seriesRow)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      // Occurrences go in as one batch; if it fails, don't leave a series without them
+      let instances;
+      try {
+        instances = await materializeSeries(supabase, series, getSeriesHorizon());
+      } catch (err) {
+        await supabase
+          .from('calendar_series')
+          .delete()
+          .eq('id', series.id);
+
+        if (err.code === OVERLAP_ERROR_CODE) {
+          return {
+            statusCode: 409,
+            headers,
+            body: JSON.stringify({ error: 'Some occurrences overlap other bookings' })
+          };
+        }
+        throw err;
+      }
+
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify({ series, instances })
+      };
+    }
+
+    // List recurring series
+    if (path === 'series' && method === 'GET') {
+      const { client_id } = event.queryStringParameters || {};
+
+      let query = supabase
+        .from('calendar_series')
+        .select('*')
+        .eq('status', 'active')
+        .order('dtstart', { ascending: true });
+
+      if (!isAdmin) {
+        query = query.eq('client_id', user.userId);
+      } else if (client_id) {
+        query = query.eq('client_id', client_id);
+      }
+
+      const { data: series, error } = await query;
+      if (error) throw error;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(series)
+      };
+    }
+
+    // A series with its upcoming instances
+    const seriesMatch = path.match(/^series\/([^/]+)$/);
+    if (seriesMatch && method === 'GET') {
+      const { data: series } = await supabase
+        .from('calendar_series')
+        .select('*')
+        .eq('id', seriesMatch[1])
+        .single();
+
+      if (!series || (!isAdmin && series.client_id !== user.userId)) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Series not found' })
+        };
+      }
+
+      const { data: instances } = await supabase
+        .from('calendar_events')
+        .select('*')
+        .eq('series_id', series.id)
+        .gte('start_time', new Date().toISOString())
+        .order('start_time', { ascending: true });
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ series, instances })
+      };
+    }
+
+    // Edit event details; scope "following" also updates the rest of its series
+    const detailMatch = path.match(/^events\/([^/]+)$/);
+    if (detailMatch && method === 'PUT') {
+      if (!isAdmin) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Admin access required' })
+        };
+      }
+
+      const { scope = 'this', ...changes } = JSON.parse(event.body);
+      const details = {};
+      ['title', 'description', 'location', 'is_virtual', 'meeting_link', 'notes'].forEach(field => {
+        if (changes[field] !== undefined) details[field] = changes[field];
+      });
+
+      const { data: existing } = await supabase
+        .from('calendar_events')
+        .select('*')
+        .eq('id', detailMatch[1])
+        .single();
+
+      if (!existing) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Event not found' })
+        };
+      }
+
+      if (scope === 'following' && existing.series_id) {
+        // Notes belong to a single occurrence
+        const { notes, ...seriesDetails } = details;
+
+        await supabase
+          .from('calendar_series')
+          .update(seriesDetails)
+          .eq('id', existing.series_id);
+
+        await supabase
+          .from('calendar_events')
+          .update(seriesDetails)
+          .eq('series_id', existing.series_id)
+          .eq('status', 'scheduled')
+          .gte('original_start_time', existing.original_start_time);
+      }
+
+      const { data: updated, error } = await supabase
+        .from('calendar_events')
+        .update(details)
+        .eq('id', existing.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(updated)
+      };
+    }
+
+    // Status changes on a single event
+    const actionMatch = path.match(/^events\/([^/]+)\/(reschedule|cancel|complete|no-show)$/);
+    if (actionMatch && method === 'PUT') {
+      const [, eventId, action] = actionMatch;
+      const body = JSON.parse(event.body || '{}');
+
+      const { data: existing } = await supabase
+        .from('calendar_events')
+        .select('*')
+        .eq('id', eventId)
+        .single();
+
+      if (!existing || (!isAdmin && existing.client_id !== user.userId)) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Event not found' })
+        };
+      }
+
+      if (existing.status !== 'scheduled') {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({ error: `Event is already ${existing.status}` })
+        };
+      }
+
+      if ((action === 'complete' || action === 'no-show') && !isAdmin) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Admin access required' })
+        };
+      }
+
+      if (!isAdmin && new Date(existing.start_time) <= new Date()) {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({ error: 'Sessions that have started can no longer be changed' })
+        };
+      }
+
+      // "This and following" on a recurring instance
+      if (body.scope === 'following' && (action === 'reschedule' || action === 'cancel')) {
+        if (!isAdmin) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Admin access required' })
+          };
+        }
+
+        if (!existing.series_id) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Event is not part of a recurring series' })
+          };
+        }
+
+        if (action === 'cancel') {
+          const series = await endSeriesAt(existing);
+          await supabase
+            .from('calendar_events')
+            .update({
+              status: 'cancelled',
+              cancelled_at: new Date().toISOString(),
+              cancellation_reason: body.reason || null
+            })
+            .eq('series_id', existing.series_id)
+            .eq('status', 'scheduled')
+            .gte('original_start_time', existing.original_start_time);
+
+          return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({ series })
+          };
+        }
+
+        let result;
+        try {
+          result = await splitSeriesAt(existing, body);
+        } catch (err) {
+          if (err.code !== OVERLAP_ERROR_CODE) throw err;
+          result = { conflicts: [] };
+        }
+
+        if (result.conflicts) {
+          return {
+            statusCode: 409,
+            headers,
+            body: JSON.stringify({ error: 'Some occurrences overlap other bookings', conflicts: result.conflicts })
+          };
+        }
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(result)
+        };
+      }
+
+      let updates;
+
+      if (action === 'reschedule') {
+        const startTime = new Date(body.start_time);
+        const durationMs = new Date(existing.end_time) - new Date(existing.start_time);
+        const endTime = body.end_time
+          ? new Date(body.end_time)
+          : new Date(startTime.getTime() + durationMs);
+
+        const validationError = validateTimes(startTime, endTime);
+        if (validationError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: validationError })
+          };
+        }
+
+        if (!isAdmin && !(await isWithinAvailability(startTime, endTime))) {
+          return {
+            statusCode: 409,
+            headers,
+            body: JSON.stringify({ error: 'Requested time is outside the trainer\'s availability' })
+          };
+        }
+
+        updates = {
+          start_time: startTime.toISOString(),
+          end_time: endTime.toISOString(),
+          // A moved session needs a fresh reminder
+          reminder_sent: false,
+          reminder_sent_at: null
+        };
+      } else if (action === 'cancel') {
+        updates = {
+          status: 'cancelled',
+          cancelled_at: new Date().toISOString(),
+          cancellation_reason: body.reason || null
+        };
+      } else if (action === 'complete') {
+        updates = {
+          status: 'completed',
+          notes: body.notes ?? existing.notes
+        };
+      } else {
+        updates = { status: 'no_show' };
+      }
+
+      const { data: updated, error } = await supabase
+        .from('calendar_events')
+        .update(updates)
+        .eq('id', eventId)
+        .select()
+        .single();
+
+      if (error?.code === OVERLAP_ERROR_CODE) {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({ error: 'That time overlaps another booking' })
+        };
+      }
+      if (error) throw error;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(updated)
+      };
+    }
+
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Not found' })
+    };
+
+  } catch (error) {
+    console.error('Calendar error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
+
+// Helper functions
+function hashFeedToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function validateTimes(startTime, endTime) {
+  if (isNaN(startTime) || isNaN(endTime)) {
+    return 'Valid start_time and end_time are required';
+  }
+  if (endTime <= startTime) {
+    return 'end_time must be after start_time';
+  }
+  if (startTime <= new Date()) {
+    return 'Sessions must be scheduled in the future';
+  }
+  return null;
+}
+
+async function getAvailabilityWindows() {
+  const { data: windows } = await supabase
+    .from('trainer_availability')
+    .select('*')
+    .eq('is_active', true)
+    .order('day_of_week', { ascending: true })
+    .order('start_time', { ascending: true });
+
+  return windows || [];
+}
+
+async function getTrainerTimezone() {
+  const { data: trainer } = await supabase
+    .from('users')
+    .select('timezone')
+    .eq('role', 'admin')
+    .limit(1)
+    .single();
+
+  return trainer?.timezone || 'UTC';
+}
+
+// Occurrences of a would-be series that collide with existing bookings,
+// ignoring rows of `replacingSeriesId` from `replacingFrom` on (they are about to go)
+async function findSeriesConflicts(series, from, replacingSeriesId, replacingFrom) {
+  const horizon = getSeriesHorizon();
+  const starts = expandSeries(series, from, horizon);
+  if (starts.length === 0) return [];
+
+  const { data: booked } = await supabase
+    .from('calendar_events')
+    .select('id, series_id, original_start_time, start_time, end_time, buffer_minutes')
+    .eq('status', 'scheduled')
+    .lt('start_time', horizon.toISOString())
+    .gte('end_time', new Date(from.getTime() - 24 * 60 * 60000).toISOString());
+
+  const busy = (booked || [])
+    .filter(b => !(
+      replacingSeriesId &&
+      b.series_id === replacingSeriesId &&
+      new Date(b.original_start_time) >= replacingFrom
+    ))
+    .map(b => ({
+      start: new Date(b.start_time).getTime(),
+      end: new Date(b.end_time).getTime() + (b.buffer_minutes || 0) * 60000
+    }));
+
+  const durationMs = series.duration_minutes * 60000;
+  const bufferMs = series.buffer_minutes * 60000;
+
+  return starts
+    .filter(start => {
+      const candidate = { start: start.getTime(), end: start.getTime() + durationMs + bufferMs };
+      return busy.some(b => rangesOverlap(candidate, b));
+    })
+    .map(start => start.toISOString());
+}
+
+// Stop a series before the given instance's occurrence
+async function endSeriesAt(instance) {
+  const { data: series } = await supabase
+    .from('calendar_series')
+    .select('*')
+    .eq('id', instance.series_id)
+    .single();
+
+  const originalStart = new Date(instance.original_start_time);
+  const isFirst = originalStart <= new Date(series.dtstart);
+
+  const { data: updated, error } = await supabase
+    .from('calendar_series')
+    .update({
+      rrule: truncateRule(series.rrule, new Date(originalStart.getTime() - 1000)),
+      status: isFirst ? 'cancelled' : 'ended'
+    })
+    .eq('id', series.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return updated;
+}
+
+// Move an instance and every later occurrence: the old series ends before it
+// and a new series picks up from the new time
+async function splitSeriesAt(instance, changes) {
+  const { data: series } = await supabase
+    .from('calendar_series')
+    .select('*')
+    .eq('id', instance.series_id)
+    .single();
+
+  const originalStart = new Date(instance.original_start_time);
+  const newStart = new Date(changes.start_time);
+  const durationMinutes = changes.end_time
+    ? Math.round((new Date(changes.end_time) - newStart) / 60000)
+    : series.duration_minutes;
+
+  // Keep the weekly pattern aligned when the session moves to another weekday
+  const dayShift = getZonedParts(newStart, series.timezone).dayOfWeek -
+    getZonedParts(originalStart, series.timezone).dayOfWeek;
+
+  const nextSeries = {
+    client_id: series.client_id,
+    event_type: series.event_type,
+    title: series.title,
+    description: series.description,
+    location: series.location,
+    is_virtual: series.is_virtual,
+    meeting_link: series.meeting_link,
+    rrule: changes.rrule
+      ? normalizeRule(changes.rrule)
+      : continueRule(series, originalStart, dayShift),
+    dtstart: newStart.toISOString(),
+    timezone: series.timezone,
+    duration_minutes: durationMinutes,
+    buffer_minutes: series.buffer_minutes
+  };
+
+  const conflicts = await findSeriesConflicts(nextSeries, newStart, series.id, originalStart);
+  if (conflicts.length > 0) {
+    return { conflicts };
+  }
+
+  // The new series replaces occurrences still to happen, including one-off
+  // changes to them; completed, cancelled and no-show rows stay as history
+  const { data: replaced, error: replacedError } = await supabase
+    .from('calendar_events')
+    .select('*')
+    .eq('series_id', series.id)
+    .eq('status', 'scheduled')
+    .gte('original_start_time', instance.original_start_time);
+
+  if (replacedError) throw replacedError;
+
+  await endSeriesAt(instance);
+
+  let created = null;
+  try {
+    if (replaced.length > 0) {
+      const { error: deleteError } = await supabase
+        .from('calendar_events')
+        .delete()
+        .in('id', replaced.map(row => row.id));
+
+      if (deleteError) throw deleteError;
+    }
+
+    const { data, error } = await supabase
+      .from('calendar_series')
+      .insert(nextSeries)
+      .select()
+      .single();
+
+    if (error) throw error;
+    created = data;
+
+    const instances = await materializeSeries(supabase, created, getSeriesHorizon());
+
+    return { series: created, instances };
+  } catch (err) {
+    await undoSeriesSplit(series, replaced, created);
+    throw err;
+  }
+}
+
+// These writes can't share a transaction through the client, so a failed split
+// is walked back: the new series goes, and the old one gets its rule and rows back
+async function undoSeriesSplit(series, replaced, created) {
+  try {
+    if (created) {
+      await supabase
+        .from('calendar_series')
+        .delete()
+        .eq('id', created.id);
+    }
+
+    if (replaced.length > 0) {
+      const { error } = await supabase
+        .from('calendar_events')
+        .upsert(replaced, { onConflict: 'id', ignoreDuplicates: true });
+
+      if (error) throw error;
+    }
+
+    await supabase
+      .from('calendar_series')
+      .update({ rrule: series.rrule, status: series.status })
+      .eq('id', series.id);
+  } catch (err) {
+    console.error(`Could not restore series ${series.id} after a failed split:`, err);
+  }
+}
+
+async function getEventTypeSettings(eventType) {
+  const { data: settings } = await supabase
+    .from('event_type_settings')
+    .select('*')
+    .eq('event_type', eventType)
+    .single();
+
+  return settings || { event_type: eventType, duration_minutes: 60, buffer_minutes: 0 };
+}
+
+async function getBlackouts(fromDate, toDate) {
+  const { data: blackouts } = await supabase
+    .from('trainer_blackouts')
+    .select('*')
+    .lte('starts_on', toDate)
+    .gte('ends_on', fromDate);
+
+  return blackouts || [];
+}
+
+function isBlackedOut(date, blackouts) {
+  return blackouts.some(b => b.starts_on <= date && date <= b.ends_on);
+}
+
+async function isWithinAvailability(startTime, endTime) {
+  const windows = await getAvailabilityWindows();
+  const timezone = await getTrainerTimezone();
+
+  const start = getZonedParts(startTime, timezone);
+  const end = getZonedParts(endTime, timezone);
+
+  // Sessions may not span midnight in the trainer's timezone
+  if (start.date !== end.date) return false;
+
+  const blackouts = await getBlackouts(start.date, start.date);
+  if (isBlackedOut(start.date, blackouts)) return false;
+
+  return windows.some(w =>
+    w.day_of_week === start.dayOfWeek &&
+    timeToMinutes(w.start_time) <= start.minutes &&
+    end.minutes <= timeToMinutes(w.end_time)
+  );
+}
+
+// Candidate starts every SLOT_STEP_MINUTES inside each availability window,
+// dropping any that would collide with a booked event or its buffer
+async function findOpenSlots(fromDate, toDate, eventType) {
+  const windows = await getAvailabilityWindows();
+  const timezone = await getTrainerTimezone();
+  const typeSettings = await getEventTypeSettings(eventType);
+  const blackouts = await getBlackouts(fromDate, toDate);
+
+  const rangeStart = zonedTimeToDate(fromDate, 0, timezone);
+  const rangeEnd = zonedTimeToDate(addDays(toDate, 1), 0, timezone);
+
+  // Look back a day so long events and buffers from the previous day count
+  const { data: booked } = await supabase
+    .from('calendar_events')
+    .select('start_time, end_time, buffer_minutes')
+    .eq('status', 'scheduled')
+    .lt('start_time', rangeEnd.toISOString())
+    .gte('end_time', new Date(rangeStart.getTime() - 24 * 60 * 60000).toISOString());
+
+  const busy = (booked || []).map(b => ({
+    start: new Date(b.start_time).getTime(),
+    end: new Date(b.end_time).getTime() + (b.buffer_minutes || 0) * 60000
+  }));
+
+  const now = Date.now();
+  const durationMs = typeSettings.duration_minutes * 60000;
+  const bufferMs = typeSettings.buffer_minutes * 60000;
+  const slots = [];
+
+  for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+    if (isBlackedOut(date, blackouts)) continue;
+
+    const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+
+    windows
+      .filter(w => w.day_of_week === dayOfWeek)
+      .forEach(w => {
+        const windowEnd = timeToMinutes(w.end_time);
+
+        for (
+          let minutes = timeToMinutes(w.start_time);
+          minutes + typeSettings.duration_minutes <= windowEnd;
+          minutes += SLOT_STEP_MINUTES
+        ) {
+          const start = zonedTimeToDate(date, minutes, timezone).getTime();
+          if (start <= now) continue;
+
+          const candidate = { start, end: start + durationMs + bufferMs };
+          if (busy.some(b => rangesOverlap(candidate, b))) continue;
+
+          slots.push({
+            start_time: new Date(start).toISOString(),
+            end_time: new Date(start + durationMs).toISOString()
+          });
+        }
+      });
+  }
+
+  return slots;
+}
+
+
+// =========================================
+// /netlify/functions/calendar-feed.js
+// Read-only iCalendar feed, authenticated by a revocable link token
+// =========================================
+const { createHash } = require('crypto');
+const { createClient: createFeedClient } = require('@supabase/supabase-js');
+
+const supabaseFeed = createFeedClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 180;
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Cache-Control': 'private, max-age=300'
+  };
+
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  }
+
+  const token = event.path
+    .replace('/.netlify/functions/calendar-feed/', '')
+    .replace(/\.ics$/, '');
+
+  try {
+    const { data: feedToken } = await supabaseFeed
+      .from('calendar_feed_tokens')
+      .select('id, user_id, user:users(role, timezone, is_active)')
+      .eq('token_hash', createHash('sha256').update(token).digest('hex'))
+      .is('revoked_at', null)
+      .single();
+
+    if (!feedToken || !feedToken.user?.is_active) {
+      return { statusCode: 404, body: 'Not found' };
+    }
+
+    const isTrainer = feedToken.user.role === 'admin';
+    const now = Date.now();
+
+    let query = supabaseFeed
+      .from('calendar_events')
+      .select(`
+        *,
+        client:users(email, profile:user_profiles(first_name, last_name))
+      `)
+      .gte('start_time', new Date(now - FEED_PAST_DAYS * 86400000).toISOString())
+      .lte('start_time', new Date(now + FEED_FUTURE_DAYS * 86400000).toISOString())
+      .order('start_time', { ascending: true });
+
+    if (!isTrainer) {
+      query = query.eq('client_id', feedToken.user_id);
+    }
+
+    const { data: events, error } = await query;
+    if (error) throw error;
+
+    await supabaseFeed
+      .from('calendar_feed_tokens')
+      .update({ last_accessed_at: new Date().toISOString() })
+      .eq('id', feedToken.id);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: buildCalendar(events || [], {
+        name: isTrainer ? 'Client Sessions' : 'My Training Sessions',
+        timezone: feedToken.user.timezone || 'UTC',
+        isTrainer
+      })
+    };
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    return { statusCode: 500, body: 'Feed unavailable' };
+  }
+};
+
+function buildCalendar(events, { name, timezone, isTrainer }) {
+  const host = new URL(process.env.SITE_URL || 'https://localhost').hostname;
+  const stamp = formatIcsDate(new Date());
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Fitness Platform//Sessions//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    `X-WR-TIMEZONE:${timezone}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  events.forEach(calendarEvent => {
+    const clientName = [
+      calendarEvent.client?.profile?.first_name,
+      calendarEvent.client?.profile?.last_name
+    ].filter(Boolean).join(' ') || calendarEvent.client?.email;
+
+    const summary = isTrainer && clientName
+      ? `${calendarEvent.title} - ${clientName}`
+      : calendarEvent.title;
+
+    const location = calendarEvent.is_virtual
+      ? calendarEvent.meeting_link
+      : calendarEvent.location;
+
+    const created = new Date(calendarEvent.created_at);
+    const updated = new Date(calendarEvent.updated_at || calendarEvent.created_at);
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${calendarEvent.id}@${host}`,
+      `DTSTAMP:${stamp}`,
+      // Times are sent in UTC; calendar apps show them in the viewer's zone
+      `DTSTART:${formatIcsDate(new Date(calendarEvent.start_time))}`,
+      `DTEND:${formatIcsDate(new Date(calendarEvent.end_time))}`,
+      `LAST-MODIFIED:${formatIcsDate(updated)}`,
+      // Grows with every edit so subscribers replace their copy
+      `SEQUENCE:${Math.max(Math.floor((updated - created) / 1000), 0)}`,
+      `SUMMARY:${escapeIcsText(summary || 'Training Session')}`,
+      `STATUS:${calendarEvent.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`
+    );
+
+    if (calendarEvent.description) {
+      lines.push(`DESCRIPTION:${escapeIcsText(calendarEvent.description)}`);
+    }
+    if (location) {
+      lines.push(`LOCATION:${escapeIcsText(location)}`);
+    }
+    if (calendarEvent.is_virtual && calendarEvent.meeting_link) {
+      lines.push(`URL:${calendarEvent.meeting_link}`);
+    }
+
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// 20261019T130000Z
+function formatIcsDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 lines are at most 75 octets; continuations start with a space
+function foldIcsLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const chunks = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + (start === 0 ? 75 : 74), bytes.length);
+    // Don't split a multi-byte character
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    chunks.push(bytes.slice(start, end).toString('utf8'));
+    start = end;
+  }
+
+  return chunks.join('\r\n ');
+}
+
+// =========================================
+// /netlify/functions/utils/scheduling.js
+// Timezone and time-range helpers for the calendar
+// =========================================
+
+// Wall-clock date, weekday (0 = Sunday) and minute of day in a timezone
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date).forEach(p => {
+    parts[p.type] = p.value;
+  });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    dayOfWeek: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+// "HH:MM" or "HH:MM:SS" to minutes since midnight
+function timeToMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+// Instant for a wall-clock date and minute of day in a timezone
+function zonedTimeToDate(date, minutes, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const target = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // Correct the guess by the zone offset; the second pass settles DST edges
+  let utc = target;
+  for (let i = 0; i < 2; i++) {
+    const parts = getZonedParts(new Date(utc), timeZone);
+    const [y, m, d] = parts.date.split('-').map(Number);
+    utc += target - Date.UTC(y, m - 1, d, 0, parts.minutes);
+  }
+
+  return new Date(utc);
+}
+
+// "YYYY-MM-DD" shifted by a number of days
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().split('T')[0];
+}
+
+// Half-open [start, end) overlap
+function rangesOverlap(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+module.exports = {
+  getZonedParts,
+  zonedTimeToDate,
+  timeToMinutes,
+  addDays,
+  rangesOverlap
+};
+
+// =========================================
+// /netlify/functions/utils/recurrence.js
+// RFC 5545 RRULE expansion for calendar_series
+// =========================================
+const { RRule } = require('rrule');
+const {
+  getZonedParts: getSeriesZonedParts,
+  zonedTimeToDate: seriesTimeToDate
+} = require('./scheduling');
+
+const ALLOWED_FREQUENCIES = [RRule.YEARLY, RRule.MONTHLY, RRule.WEEKLY, RRule.DAILY];
+const WEEKDAYS = [RRule.MO, RRule.TU, RRule.WE, RRule.TH, RRule.FR, RRule.SA, RRule.SU];
+
+// How far ahead recurring instances are written to calendar_events
+const SERIES_HORIZON_DAYS = 90;
+
+function getSeriesHorizon() {
+  return new Date(Date.now() + SERIES_HORIZON_DAYS * 24 * 60 * 60000);
+}
+
+// Accepts "FREQ=WEEKLY;BYDAY=MO" with or without the "RRULE:" prefix
+function parseRule(rrule) {
+  const options = RRule.parseString(String(rrule).trim().replace(/^RRULE:/i, ''));
+
+  if (!ALLOWED_FREQUENCIES.includes(options.freq)) {
+    throw new Error('FREQ must be DAILY, WEEKLY, MONTHLY or YEARLY');
+  }
+  if (options.dtstart) {
+    throw new Error('DTSTART is taken from start_time, not the rule');
+  }
+
+  return options;
+}
+
+function normalizeRule(rrule) {
+  return formatRule(parseRule(rrule));
+}
+
+function formatRule(options) {
+  return RRule.optionsToString(options).replace(/^RRULE:/, '');
+}
+
+// rrule repeats in "floating" time: the wall clock in the series' timezone
+// stored as if it were UTC. That keeps 9am at 9am across DST changes.
+function toFloating(date, timeZone) {
+  const parts = getSeriesZonedParts(date, timeZone);
+  const [year, month, day] = parts.date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day, 0, parts.minutes));
+}
+
+function fromFloating(floating, timeZone) {
+  return seriesTimeToDate(
+    floating.toISOString().split('T')[0],
+    floating.getUTCHours() * 60 + floating.getUTCMinutes(),
+    timeZone
+  );
+}
+
+function buildRule(series) {
+  const options = parseRule(series.rrule);
+
+  return new RRule({
+    ...options,
+    dtstart: toFloating(new Date(series.dtstart), series.timezone),
+    until: options.until ? toFloating(options.until, series.timezone) : null
+  });
+}
+
+// Occurrence start times between two instants (inclusive)
+function expandSeries(series, from, to) {
+  const dayMs = 24 * 60 * 60000;
+
+  // Pad the floating window by a day either side, then filter on real instants
+  return buildRule(series)
+    .between(
+      new Date(toFloating(from, series.timezone).getTime() - dayMs),
+      new Date(toFloating(to, series.timezone).getTime() + dayMs),
+      true
+    )
+    .map(floating => fromFloating(floating, series.timezone))
+    .filter(start => start >= from && start <= to);
+}
+
+// Same rule, but with no occurrences after `until`
+function truncateRule(rrule, until) {
+  const { count, ...options } = parseRule(rrule);
+  return formatRule({ ...options, until });
+}
+
+// The remainder of a series' rule from `from` on, for a series split there.
+// COUNT shrinks by the occurrences already used and BYDAY moves with the session.
+function continueRule(series, from, dayShift = 0) {
+  const options = parseRule(series.rrule);
+
+  if (options.count) {
+    const used = expandSeries(series, new Date(series.dtstart), new Date(from.getTime() - 1000)).length;
+    options.count = Math.max(options.count - used, 1);
+  }
+
+  if (dayShift && options.byweekday) {
+    options.byweekday = [].concat(options.byweekday).map(day => {
+      const index = typeof day === 'number' ? day : day.weekday;
+      const shifted = WEEKDAYS[(index + dayShift + 7) % 7];
+      return day.n ? shifted.nth(day.n) : shifted;
+    });
+  }
+
+  return formatRule(options);
+}
+
+function instanceRow(series, start) {
+  return {
+    series_id: series.id,
+    original_start_time: start.toISOString(),
+    client_id: series.client_id,
+    event_type: series.event_type,
+    title: series.title,
+    description: series.description,
+    location: series.location,
+    is_virtual: series.is_virtual,
+    meeting_link: series.meeting_link,
+    start_time: start.toISOString(),
+    end_time: new Date(start.getTime() + series.duration_minutes * 60000).toISOString(),
+    buffer_minutes: series.buffer_minutes
+  };
+}
+
+// Write calendar_events rows for occurrences up to `horizon`. Rows already
+// present (including cancelled or moved ones) are left alone. With
+// skipConflicts, occurrences that overlap another booking are skipped
+// instead of failing the whole batch.
+async function materializeSeries(db, series, horizon, { skipConflicts = false } = {}) {
+  const from = series.materialized_until
+    ? new Date(new Date(series.materialized_until).getTime() + 1000)
+    : new Date(series.dtstart);
+
+  const rows = from <= horizon
+    ? expandSeries(series, from, horizon).map(start => instanceRow(series, start))
+    : [];
+
+  const created = [];
+  const skipped = [];
+
+  if (skipConflicts) {
+    for (const row of rows) {
+      const { data, error } = await db
+        .from('calendar_events')
+        .upsert(row, { onConflict: 'series_id,original_start_time', ignoreDuplicates: true })
+        .select();
+
+      if (error?.code === '23P01') {
+        skipped.push(row.start_time);
+      } else if (error) {
+        throw error;
+      } else {
+        created.push(...(data || []));
+      }
+    }
+  } else if (rows.length > 0) {
+    const { data, error } = await db
+      .from('calendar_events')
+      .upsert(rows, { onConflict: 'series_id,original_start_time', ignoreDuplicates: true })
+      .select();
+
+    if (error) throw error;
+    created.push(...(data || []));
+  }
+
+  await db
+    .from('calendar_series')
+    .update({ materialized_until: horizon.toISOString() })
+    .eq('id', series.id);
+
+  return skipConflicts ? { created, skipped } : created;
+}
+
+module.exports = {
+  parseRule,
+  normalizeRule,
+  expandSeries,
+  truncateRule,
+  continueRule,
+  materializeSeries,
+  getSeriesHorizon
+};
+
+// =========================================
+// /netlify/functions/calendar-series-extend.js
+// Daily job keeping recurring instances materialized ahead of time
+// =========================================
+const { schedule } = require('@netlify/functions');
+const { createClient: createSeriesClient } = require('@supabase/supabase-js');
+const {
+  materializeSeries: extendSeries,
+  getSeriesHorizon: getExtendHorizon
+} = require('./utils/recurrence');
+
+const supabaseSeries = createSeriesClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+exports.handler = schedule('@daily', async () => {
+  const horizon = getExtendHorizon();
+
+  const { data: activeSeries, error } = await supabaseSeries
+    .from('calendar_series')
+    .select('*')
+    .eq('status', 'active')
+    .lt('materialized_until', horizon.toISOString());
+
+  if (error) {
+    console.error('Series extend error:', error);
+    return { statusCode: 500 };
+  }
+
+  for (const series of activeSeries || []) {
+    try {
+      const { created, skipped } = await extendSeries(supabaseSeries, series, horizon, { skipConflicts: true });
+
+      if (skipped.length > 0) {
+        console.warn(`Series ${series.id}: skipped ${skipped.length} overlapping occurrence(s)`, skipped);
+      }
+      console.log(`Series ${series.id}: created ${created.length} instance(s)`);
+    } catch (err) {
+      console.error(`Series ${series.id} extend error:`, err);
+    }
+  }
+
+  return { statusCode: 200 };
+});
@@ -0,0 +1,249 @@
+// =========================================
+// /netlify/functions/dunning.js
+// Scheduled payment reminders and grace-period restriction for past_due clients
+// =========================================
+const { schedule } = require('@netlify/functions');
+const { createClient } = require('@supabase/supabase-js');
+const { sendMail } = require('./utils/mailer');
+const { publishEvent, publishToAdmins } = require('./utils/realtime');
+const { REMINDER_DAYS, GRACE_DAYS, DUNNING_STATUSES, dunningState } = require('./utils/dunning');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+async function runDunning(now = new Date()) {
+  const results = { reminded: 0, restricted: 0, failed: 0 };
+
+  const { data: accounts, error } = await supabase
+    .from('users')
+    .select(`
+      id, email, subscription_status, dunning_started_at, dunning_reminders_sent, features_restricted_at,
+      profile:user_profiles(first_name)
+    `)
+    .not('dunning_started_at', 'is', null)
+    .in('subscription_status', DUNNING_STATUSES);
+
+  if (error) throw error;
+
+  for (const account of accounts || []) {
+    try {
+      const state = dunningState(account, now);
+
+      // Reminders missed between runs collapse into the latest one
+      if (state.remindersDue > (account.dunning_reminders_sent || 0)) {
+        const claimed = await claimReminder(account, state.remindersDue, now);
+        if (claimed) {
+          await sendReminder(account, state);
+          results.reminded++;
+        }
+      }
+
+      if (state.graceExpired && !account.features_restricted_at) {
+        const restricted = await restrictFeatures(account, now);
+        if (restricted) results.restricted++;
+      }
+    } catch (accountError) {
+      console.error(`Dunning failed for ${account.id}:`, accountError);
+      results.failed++;
+    }
+  }
+
+  return results;
+}
+
+// Conditional on the count we read, so overlapping runs send each reminder once
+async function claimReminder(account, remindersDue, now) {
+  const { data: claimed, error } = await supabase
+    .from('users')
+    .update({ dunning_reminders_sent: remindersDue, dunning_last_reminder_at: now.toISOString() })
+    .eq('id', account.id)
+    .eq('dunning_reminders_sent', account.dunning_reminders_sent || 0)
+    .select('id')
+    .maybeSingle();
+
+  if (error) throw error;
+  return claimed;
+}
+
+async function sendReminder(account, state) {
+  const profile = Array.isArray(account.profile) ? account.profile[0] : account.profile;
+  const updateUrl = `${process.env.SITE_URL}/billing/update-payment`;
+  const restrictsOn = formatDate(state.graceEndsAt);
+  const isLast = state.remindersDue === REMINDER_DAYS.length;
+
+  const title = state.remindersDue === 1
+    ? "Your payment didn't go through"
+    : isLast ? 'Last reminder: update your payment method' : 'Reminder: your payment is past due';
+  const body = state.graceExpired
+    ? 'Premium features are paused until your payment goes through.'
+    : `Update your payment method by ${restrictsOn} to keep access to premium features.`;
+
+  const { data: notification, error } = await supabase
+    .from('notifications')
+    .insert({
+      user_id: account.id,
+      type: 'payment_reminder',
+      title,
+      body,
+      data: { reminder: state.remindersDue, grace_ends_at: state.graceEndsAt.toISOString(), update_url: updateUrl }
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  await publishEvent(account.id, 'notification.created', notification);
+
+  if (account.email) {
+    const text = [
+      `Hi ${profile?.first_name || 'there'},`,
+      '',
+      "We weren't able to charge your card for your training subscription.",
+      body,
+      '',
+      `Update your payment method: ${updateUrl}`
+    ].join('\n');
+
+    await sendMail({ to: account.email, subject: title, text });
+  }
+}
+
+async function restrictFeatures(account, now) {
+  const { data: restricted, error } = await supabase
+    .from('users')
+    .update({ features_restricted_at: now.toISOString() })
+    .eq('id', account.id)
+    .is('features_restricted_at', null)
+    .select('id')
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!restricted) return false;
+
+  await publishEvent(account.id, 'billing.restricted', { restricted_at: now.toISOString() });
+  await publishToAdmins('billing.restricted', { client_id: account.id, restricted_at: now.toISOString() });
+  return true;
+}
+
+function formatDate(date) {
+  return date.toLocaleDateString('en-US', { month: 'long', day: 'numeric' });
+}
+
+// Hourly; reminders are days apart, so an hour late doesn't matter
+exports.handler = schedule('@hourly', async () => {
+  try {
+    const results = await runDunning();
+    console.log('Dunning:', results, { reminderDays: REMINDER_DAYS, graceDays: GRACE_DAYS });
+    return { statusCode: 200 };
+  } catch (error) {
+    console.error('Dunning error:', error);
+    return { statusCode: 500 };
+  }
+});
+
+// Exposed for local runs against the console/file mail transport
+exports.runDunning = runDunning;
+
+// =========================================
+// /netlify/functions/utils/dunning.js
+// Dunning state for past_due clients and the premium feature gate
+// =========================================
+const { createClient: createDunningClient } = require('@supabase/supabase-js');
+const { publishEvent: publishDunningEvent, publishToAdmins: publishDunningToAdmins } = require('./realtime');
+
+const supabaseDunning = createDunningClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Days after the first failed payment, e.g. "0,3,7"
+const REMINDER_DAYS = (process.env.DUNNING_REMINDER_DAYS || '0,3,7')
+  .split(',')
+  .map(Number)
+  .filter(days => days >= 0)
+  .sort((a, b) => a - b);
+
+// Premium features stay on this many days after the first failure
+const GRACE_DAYS = Number(process.env.DUNNING_GRACE_DAYS || 10);
+
+const DUNNING_STATUSES = ['past_due', 'unpaid'];
+
+const BILLING_RESTRICTED = {
+  error: 'Premium features are paused until your payment method is updated',
+  code: 'billing_restricted'
+};
+
+// Where a client is in the sequence: reminders due so far and when the grace period ends
+function dunningState(account, now = new Date()) {
+  const startedAt = new Date(account.dunning_started_at);
+  const daysIn = (now - startedAt) / 86400000;
+  const graceEndsAt = new Date(startedAt.getTime() + GRACE_DAYS * 86400000);
+
+  return {
+    daysIn: Math.floor(daysIn),
+    remindersDue: REMINDER_DAYS.filter(days => days <= daysIn).length,
+    graceEndsAt,
+    graceExpired: now >= graceEndsAt
+  };
+}
+
+// First failure starts the clock; later retries failing don't restart it
+async function startDunning(userId) {
+  const { error } = await supabaseDunning
+    .from('users')
+    .update({ dunning_started_at: new Date().toISOString(), dunning_reminders_sent: 0 })
+    .eq('id', userId)
+    .is('dunning_started_at', null);
+
+  if (error) throw error;
+}
+
+// Out of past_due/unpaid: stop reminders and lift any restriction. Returns whether one was lifted.
+async function endDunning(userId) {
+  const { data: account } = await supabaseDunning
+    .from('users')
+    .select('dunning_started_at, features_restricted_at')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (!account?.dunning_started_at && !account?.features_restricted_at) return false;
+
+  const { error } = await supabaseDunning
+    .from('users')
+    .update({
+      dunning_started_at: null,
+      dunning_reminders_sent: 0,
+      dunning_last_reminder_at: null,
+      features_restricted_at: null
+    })
+    .eq('id', userId);
+
+  if (error) throw error;
+  if (!account.features_restricted_at) return false;
+
+  await publishDunningEvent(userId, 'billing.restored', {});
+  await publishDunningToAdmins('billing.restored', { client_id: userId });
+  return true;
+}
+
+async function isBillingRestricted(userId) {
+  const { data: account } = await supabaseDunning
+    .from('users')
+    .select('features_restricted_at')
+    .eq('id', userId)
+    .maybeSingle();
+
+  return Boolean(account?.features_restricted_at);
+}
+
+module.exports = {
+  REMINDER_DAYS,
+  GRACE_DAYS,
+  DUNNING_STATUSES,
+  BILLING_RESTRICTED,
+  dunningState,
+  startDunning,
+  endDunning,
+  isBillingRestricted
+};
@@ -0,0 +1,480 @@
+// =========================================
+// /netlify/functions/goals.js
+// Client goals with evaluated progress
+// =========================================
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken, requireAdmin } = require('./utils/auth');
+const { checkGoalProgress, validateGoal } = require('./utils/goals');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const GOAL_STATUSES = ['active', 'achieved', 'paused', 'cancelled'];
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  const user = verifyToken(event.headers.authorization);
+  if (!user) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+
+  const path = event.path
+    .replace('/.netlify/functions/goals', '')
+    .replace(/^\//, '');
+  const method = event.httpMethod;
+  const isAdmin = requireAdmin(user);
+
+  try {
+    // Goals as stored (logs and goals-evaluate keep progress current), highest priority first
+    if (path === '' && method === 'GET') {
+      const { client_id } = event.queryStringParameters || {};
+      const clientId = isAdmin && client_id ? client_id : user.userId;
+
+      const { data: goals, error } = await supabase
+        .from('goals')
+        .select('*, exercise:exercises(name)')
+        .eq('client_id', clientId)
+        .order('priority', { ascending: true })
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(goals)
+      };
+    }
+
+    // Set a goal (clients for themselves, the trainer for any client)
+    if (path === '' && method === 'POST') {
+      const goalData = JSON.parse(event.body || '{}');
+      const clientId = isAdmin && goalData.client_id ? goalData.client_id : user.userId;
+
+      const validationError = validateGoal(goalData);
+      if (validationError) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: validationError })
+        };
+      }
+
+      const { data: goal, error } = await supabase
+        .from('goals')
+        .insert({
+          client_id: clientId,
+          title: goalData.title,
+          description: goalData.description,
+          category: goalData.category,
+          metric: goalData.metric,
+          exercise_id: goalData.exercise_id,
+          direction: goalData.direction,
+          target_value: goalData.target_value,
+          target_unit: goalData.target_unit,
+          starting_value: goalData.starting_value,
+          target_date: goalData.target_date,
+          priority: goalData.priority || 1
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      const [evaluated] = await checkGoalProgress(clientId, [goal.id]);
+
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify(evaluated || goal)
+      };
+    }
+
+    const goalMatch = path.match(/^([^/]+)$/);
+
+    // Change what's measured, targets, priority or status
+    if (goalMatch && method === 'PUT') {
+      const updates = JSON.parse(event.body || '{}');
+      const { data: existing } = await supabase
+        .from('goals')
+        .select('*')
+        .eq('id', goalMatch[1])
+        .maybeSingle();
+
+      if (!existing || (!isAdmin && existing.client_id !== user.userId)) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Goal not found' })
+        };
+      }
+
+      const merged = { ...existing, ...updates };
+      const validationError = validateGoal(merged) ||
+        (!GOAL_STATUSES.includes(merged.status) ? `status must be one of: ${GOAL_STATUSES.join(', ')}` : null);
+      if (validationError) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: validationError })
+        };
+      }
+
+      // Measuring something else makes the old baseline meaningless; the next
+      // evaluation takes a new one unless the request gives it
+      const measureChanged = ['category', 'metric', 'exercise_id'].some(key => merged[key] !== existing[key]);
+      const startingValue = measureChanged && updates.starting_value === undefined ? null : merged.starting_value;
+
+      const { error } = await supabase
+        .from('goals')
+        .update({
+          title: merged.title,
+          description: merged.description,
+          category: merged.category,
+          metric: merged.metric,
+          exercise_id: merged.exercise_id,
+          direction: merged.direction,
+          target_value: merged.target_value,
+          target_unit: merged.target_unit,
+          starting_value: startingValue,
+          target_date: merged.target_date,
+          priority: merged.priority,
+          status: merged.status,
+          achieved_at: merged.status === 'achieved' ? merged.achieved_at || new Date().toISOString() : null
+        })
+        .eq('id', existing.id);
+
+      if (error) throw error;
+
+      const [evaluated] = await checkGoalProgress(existing.client_id, [existing.id]);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(evaluated || merged)
+      };
+    }
+
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Not found' })
+    };
+
+  } catch (error) {
+    console.error('Goals error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
+
+// =========================================
+// /netlify/functions/utils/goals.js
+// Goal evaluators: progress, percent complete and projected completion
+// =========================================
+const { createClient: createGoalClient } = require('@supabase/supabase-js');
+const { getZonedParts: getGoalZonedParts, addDays: addGoalDays } = require('./scheduling');
+const { getActivityDates, STREAK_TYPES: HABIT_METRICS } = require('./streaks');
+const { publishEvent: publishGoalEvent } = require('./realtime');
+
+const supabaseGoals = createGoalClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// progress_entries columns a measurement or health goal can track
+const MEASUREMENT_METRICS = ['chest', 'waist', 'hips', 'thighs', 'arms', 'neck'];
+const HEALTH_METRICS = ['resting_heart_rate', 'blood_pressure_systolic', 'blood_pressure_diastolic', 'water_percentage'];
+
+// Trend used for projections, and how many weeks a habit must hold
+const PROJECTION_WINDOW_DAYS = 56;
+const HABIT_WEEKS = 4;
+
+// target_value is always the value to reach (e.g. 75 kg, 140 kg 1RM, 1500 s, 4 days a week)
+const GOAL_TYPES = {
+  weight_loss: { direction: 'decrease', series: (goal, ctx) => bodySeries(ctx, 'weight_kg') },
+  muscle_gain: { direction: 'increase', series: (goal, ctx) => bodySeries(ctx, 'muscle_mass_kg') },
+  body_fat: { direction: 'decrease', series: (goal, ctx) => bodySeries(ctx, 'body_fat_percentage') },
+  measurement: { metrics: MEASUREMENT_METRICS, series: (goal, ctx) => bodySeries(ctx, goal.metric) },
+  health: { metrics: HEALTH_METRICS, series: (goal, ctx) => bodySeries(ctx, goal.metric) },
+  strength: { direction: 'increase', needsExercise: true, series: (goal, ctx) => exerciseSeries(ctx, goal, estimateOneRepMax) },
+  endurance: { needsExercise: true, needsDirection: true, series: (goal, ctx) => exerciseSeries(ctx, goal, bestTime) },
+  habit: { direction: 'increase', metrics: HABIT_METRICS }
+};
+
+function validateGoal(goal) {
+  const type = GOAL_TYPES[goal.category];
+
+  if (!goal.title) return 'title is required';
+  if (!type) return `category must be one of: ${Object.keys(GOAL_TYPES).join(', ')}`;
+  if (typeof goal.target_value !== 'number') return 'target_value must be a number';
+  if (type.metrics && !type.metrics.includes(goal.metric)) {
+    return `${goal.category} goals need a metric of: ${type.metrics.join(', ')}`;
+  }
+  if (type.needsExercise && !goal.exercise_id) return `${goal.category} goals need an exercise_id`;
+  if (type.needsDirection && !goal.direction) {
+    return `${goal.category} goals need a direction (decrease for times, increase for holds)`;
+  }
+  if (goal.direction && !['increase', 'decrease'].includes(goal.direction)) {
+    return 'direction must be increase or decrease';
+  }
+  if (goal.category === 'habit' && !(goal.target_value >= 1 && goal.target_value <= 7)) {
+    return 'Habit goals target 1-7 days a week';
+  }
+  return null;
+}
+
+// Series are [{ date: 'YYYY-MM-DD', value }] oldest first
+async function bodySeries(ctx, column) {
+  const { data, error } = await supabaseGoals
+    .from('progress_entries')
+    .select(`entry_date, ${column}`)
+    .eq('client_id', ctx.clientId)
+    .not(column, 'is', null)
+    .order('entry_date', { ascending: true });
+
+  if (error) throw error;
+  return data.map(row => ({ date: row.entry_date, value: Number(row[column]) }));
+}
+
+async function exerciseSeries(ctx, goal, valueOf) {
+  const { data, error } = await supabaseGoals
+    .from('workout_exercises')
+    .select('actual_reps, actual_weight_kg, actual_seconds, workout:workouts!inner(client_id, completed_at)')
+    .eq('exercise_id', goal.exercise_id)
+    .eq('workout.client_id', ctx.clientId)
+    .not('workout.completed_at', 'is', null);
+
+  if (error) throw error;
+
+  return data
+    .map(row => ({
+      date: getGoalZonedParts(new Date(row.workout.completed_at), ctx.timezone).date,
+      value: valueOf(row, goal)
+    }))
+    .filter(point => point.value !== null)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Best Epley estimate across the session's sets
+function estimateOneRepMax(row) {
+  const estimates = (row.actual_reps || []).map((reps, i) => {
+    const weight = Number((row.actual_weight_kg || [])[i]);
+    if (!(reps > 0 && weight > 0)) return 0;
+    return reps === 1 ? weight : weight * (1 + reps / 30);
+  });
+
+  const best = Math.max(0, ...estimates);
+  return best > 0 ? Math.round(best * 10) / 10 : null;
+}
+
+// Fastest set for timed efforts (runs), longest for holds (planks)
+function bestTime(row, goal) {
+  const times = (row.actual_seconds || []).filter(seconds => seconds > 0);
+  if (!times.length) return null;
+  return goal.direction === 'decrease' ? Math.min(...times) : Math.max(...times);
+}
+
+// Least-squares trend over recent points; null when not heading toward the target
+function projectCompletion(series, target, direction, today) {
+  const recent = series.filter(p => p.date >= addGoalDays(today, -PROJECTION_WINDOW_DAYS));
+  if (recent.length < 2) return null;
+
+  const origin = new Date(`${recent[0].date}T00:00:00Z`);
+  const points = recent.map(p => ({ x: (new Date(`${p.date}T00:00:00Z`) - origin) / 86400000, y: p.value }));
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  const denominator = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  if (denominator === 0) return null;
+
+  const slope = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0) / denominator;
+  if (slope === 0 || (direction === 'decrease') !== (slope < 0)) return null;
+
+  const last = recent[recent.length - 1];
+  const daysNeeded = Math.ceil((target - last.value) / slope);
+  if (daysNeeded > 3650) return null;
+
+  return addGoalDays(last.date, Math.max(0, daysNeeded));
+}
+
+async function evaluateMeasuredGoal(goal, ctx) {
+  const type = GOAL_TYPES[goal.category];
+  const series = await type.series(goal, ctx);
+  if (!series.length) return null;
+
+  // Baseline is the first reading once the goal was set, or the latest before it
+  const goalStart = (goal.created_at || '').split('T')[0];
+  const baseline = series.find(p => p.date >= goalStart) || series[series.length - 1];
+  const starting = goal.starting_value !== null && goal.starting_value !== undefined
+    ? Number(goal.starting_value)
+    : baseline.value;
+
+  const target = Number(goal.target_value);
+  const direction = type.direction || goal.direction || (target < starting ? 'decrease' : 'increase');
+  const current = series[series.length - 1].value;
+  const reached = direction === 'decrease' ? current <= target : current >= target;
+  const span = target - starting;
+  const percent = span === 0 ? 100 : ((current - starting) / span) * 100;
+
+  return {
+    starting_value: starting,
+    current_value: current,
+    direction,
+    percent_complete: Math.round(Math.max(0, Math.min(100, percent)) * 10) / 10,
+    projected_completion_date: reached ? ctx.today : projectCompletion(series, target, direction, ctx.today),
+    reached
+  };
+}
+
+// Days active in each of the last HABIT_WEEKS 7-day windows, most recent first
+async function evaluateHabitGoal(goal, ctx) {
+  const dates = new Set(await getActivityDates(ctx.clientId, goal.metric, ctx.timezone));
+  const target = Number(goal.target_value);
+
+  const weeks = [];
+  for (let w = 0; w < HABIT_WEEKS; w++) {
+    let count = 0;
+    for (let d = 0; d < 7; d++) {
+      if (dates.has(addGoalDays(ctx.today, -(w * 7 + d)))) count++;
+    }
+    weeks.push(count);
+  }
+
+  const metWeeks = weeks.findIndex(count => count < target);
+  const streakOfWeeks = metWeeks === -1 ? HABIT_WEEKS : metWeeks;
+  const reached = streakOfWeeks === HABIT_WEEKS;
+  const percent = (weeks.reduce((sum, count) => sum + Math.min(1, count / target), 0) / HABIT_WEEKS) * 100;
+
+  return {
+    starting_value: goal.starting_value ?? 0,
+    current_value: weeks[0],
+    direction: 'increase',
+    percent_complete: Math.round(percent * 10) / 10,
+    projected_completion_date: reached
+      ? ctx.today
+      : streakOfWeeks > 0 ? addGoalDays(ctx.today, (HABIT_WEEKS - streakOfWeeks) * 7) : null,
+    reached
+  };
+}
+
+// Evaluate the client's active goals (or just goalIds) and store the results
+async function checkGoalProgress(clientId, goalIds) {
+  let query = supabaseGoals
+    .from('goals')
+    .select('*')
+    .eq('client_id', clientId);
+
+  query = goalIds ? query.in('id', goalIds) : query.eq('status', 'active');
+
+  const [{ data: goals, error }, { data: client }] = await Promise.all([
+    query,
+    supabaseGoals.from('users').select('timezone').eq('id', clientId).maybeSingle()
+  ]);
+
+  if (error) throw error;
+
+  const timezone = client?.timezone || 'UTC';
+  const ctx = { clientId, timezone, today: getGoalZonedParts(new Date(), timezone).date };
+  const evaluated = [];
+
+  for (const goal of goals) {
+    // Goals from before the evaluators (no metric or exercise) are left as they are
+    if (validateGoal({ ...goal, target_value: Number(goal.target_value) })) {
+      evaluated.push(goal);
+      continue;
+    }
+
+    const result = goal.category === 'habit'
+      ? await evaluateHabitGoal(goal, ctx)
+      : await evaluateMeasuredGoal(goal, ctx);
+    if (!result) {
+      evaluated.push(goal);
+      continue;
+    }
+
+    const { reached, ...progress } = result;
+    const newlyAchieved = reached && goal.status === 'active';
+
+    const { data: updated, error: updateError } = await supabaseGoals
+      .from('goals')
+      .update({
+        ...progress,
+        last_evaluated_at: new Date().toISOString(),
+        ...(newlyAchieved ? { status: 'achieved', achieved_at: new Date().toISOString() } : {})
+      })
+      .eq('id', goal.id)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+    evaluated.push(updated);
+
+    if (newlyAchieved) {
+      await publishGoalEvent(clientId, 'goal.achieved', updated);
+    }
+  }
+
+  return evaluated;
+}
+
+module.exports = { checkGoalProgress, validateGoal, projectCompletion, GOAL_TYPES };
+
+// =========================================
+// /netlify/functions/goals-evaluate.js
+// Hourly re-evaluation of active goals, so progress moves without new logs
+// =========================================
+const { schedule: scheduleGoals } = require('@netlify/functions');
+const { createClient: createGoalsEvaluateClient } = require('@supabase/supabase-js');
+const { checkGoalProgress: evaluateGoals } = require('./utils/goals');
+
+const supabaseGoalsEvaluate = createGoalsEvaluateClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Habit goals count days up to today, so a client who stops logging has to
+// show it; goals evaluated by a log within the hour are skipped
+exports.handler = scheduleGoals('@hourly', async () => {
+  const staleBefore = new Date(Date.now() - 60 * 60000).toISOString();
+
+  const { data: stale, error } = await supabaseGoalsEvaluate
+    .from('goals')
+    .select('client_id')
+    .eq('status', 'active')
+    .or(`last_evaluated_at.is.null,last_evaluated_at.lt."${staleBefore}"`);
+
+  if (error) {
+    console.error('Goal evaluation error:', error);
+    return { statusCode: 500 };
+  }
+
+  const clientIds = [...new Set((stale || []).map(goal => goal.client_id))];
+  for (const clientId of clientIds) {
+    try {
+      await evaluateGoals(clientId);
+    } catch (err) {
+      console.error(`Goal evaluation for ${clientId} failed:`, err);
+    }
+  }
+
+  console.log(`Goals: evaluated ${clientIds.length} client(s)`);
+  return { statusCode: 200 };
+});
@@ -0,0 +1,444 @@
+// =========================================
+// /netlify/functions/messages.js
+// Trainer-client messaging over the messages table
+// =========================================
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken, requireAdmin } = require('./utils/auth');
+const { validateAttachment, uploadAttachment } = require('./utils/storage');
+const { publishEvent } = require('./utils/realtime');
+const { logActivity } = require('./utils/activity');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const MAX_CONTENT_LENGTH = 5000;
+const THREAD_PAGE_SIZE = 50;
+
+const MESSAGE_SELECT = `
+  *,
+  sender:users!sender_id(id, role, profile:user_profiles(first_name, last_name, avatar_url)),
+  recipient:users!recipient_id(id, role, profile:user_profiles(first_name, last_name, avatar_url))
+`;
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  const user = verifyToken(event.headers.authorization);
+  if (!user) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+
+  const path = event.path
+    .replace('/.netlify/functions/messages', '')
+    .replace(/^\//, '');
+  const method = event.httpMethod;
+  const isAdmin = requireAdmin(user);
+
+  try {
+    // Conversations with their latest message and unread count, most recent first
+    if (path === '' && method === 'GET') {
+      const { data: summaries, error } = await supabase
+        .rpc('get_conversations', { p_user_id: user.userId });
+
+      if (error) throw error;
+
+      const { data: lastMessages, error: messagesError } = summaries.length
+        ? await supabase
+          .from('messages')
+          .select(MESSAGE_SELECT)
+          .in('id', summaries.map(summary => summary.last_message_id))
+        : { data: [] };
+
+      if (messagesError) throw messagesError;
+
+      const conversations = summaries.map(summary => {
+        const message = lastMessages.find(m => m.id === summary.last_message_id);
+        return {
+          conversation_id: summary.conversation_id,
+          participant: message.sender_id === user.userId ? message.recipient : message.sender,
+          last_message: message,
+          unread_count: summary.unread_count
+        };
+      });
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(conversations)
+      };
+    }
+
+    // Unread totals for badges
+    if (path === 'unread-count' && method === 'GET') {
+      const { data: unread, error } = await supabase
+        .from('messages')
+        .select('conversation_id')
+        .eq('recipient_id', user.userId)
+        .eq('is_read', false);
+
+      if (error) throw error;
+
+      const byConversation = {};
+      unread.forEach(m => {
+        byConversation[m.conversation_id] = (byConversation[m.conversation_id] || 0) + 1;
+      });
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ count: unread.length, by_conversation: byConversation })
+      };
+    }
+
+    // Messages in a conversation, newest page first
+    const threadMatch = path.match(/^conversations\/([^/]+)$/);
+    if (threadMatch && method === 'GET') {
+      const conversationId = threadMatch[1];
+      const { before, limit = THREAD_PAGE_SIZE } = event.queryStringParameters || {};
+
+      let query = supabase
+        .from('messages')
+        .select(MESSAGE_SELECT)
+        .eq('conversation_id', conversationId)
+        .or(`sender_id.eq.${user.userId},recipient_id.eq.${user.userId}`)
+        .order('created_at', { ascending: false })
+        .limit(Math.min(Number(limit), 200));
+
+      if (before) {
+        query = query.lt('created_at', before);
+      }
+
+      const { data: messages, error } = await query;
+      if (error) throw error;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          conversation_id: conversationId,
+          messages: messages.reverse(),
+          has_more: messages.length === Math.min(Number(limit), 200)
+        })
+      };
+    }
+
+    // Mark everything sent to me in a conversation as read
+    const readThreadMatch = path.match(/^conversations\/([^/]+)\/read$/);
+    if (readThreadMatch && method === 'PUT') {
+      const readAt = new Date().toISOString();
+      const { data: marked, error } = await supabase
+        .from('messages')
+        .update({ is_read: true, read_at: readAt })
+        .eq('conversation_id', readThreadMatch[1])
+        .eq('recipient_id', user.userId)
+        .eq('is_read', false)
+        .select('id, sender_id');
+
+      if (error) throw error;
+
+      if (marked.length) {
+        await publishEvent(marked[0].sender_id, 'message.read', {
+          conversation_id: readThreadMatch[1],
+          message_ids: marked.map(m => m.id),
+          read_at: readAt
+        });
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ marked: marked.length })
+      };
+    }
+
+    // Send a message
+    if (path === '' && method === 'POST') {
+      const messageData = JSON.parse(event.body || '{}');
+      const content = (messageData.content || '').trim();
+
+      if (!content && !messageData.attachment_base64) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Message content or an attachment is required' })
+        };
+      }
+
+      if (content.length > MAX_CONTENT_LENGTH) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: `Messages are limited to ${MAX_CONTENT_LENGTH} characters` })
+        };
+      }
+
+      const recipientId = await resolveRecipient(user, isAdmin, messageData);
+      if (!recipientId) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'You cannot message this user' })
+        };
+      }
+
+      let attachment = {};
+      if (messageData.attachment_base64) {
+        const attachmentError = validateAttachment(messageData.attachment_base64);
+        if (attachmentError) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: attachmentError })
+          };
+        }
+
+        // The file was fine; Cloudinary being down or misconfigured is on our side
+        try {
+          attachment = await uploadAttachment(messageData.attachment_base64, 'messages');
+        } catch (err) {
+          console.error('Attachment upload failed:', err);
+          return {
+            statusCode: 502,
+            headers,
+            body: JSON.stringify({ error: 'The attachment could not be uploaded. Please try again.' })
+          };
+        }
+      }
+
+      const { data: message, error } = await supabase
+        .from('messages')
+        .insert({
+          sender_id: user.userId,
+          recipient_id: recipientId,
+          conversation_id: conversationIdFor(user.userId, recipientId),
+          message_type: attachment.kind || 'text',
+          content: content || null,
+          attachment_url: attachment.url,
+          attachment_type: attachment.mimeType,
+          attachment_size: attachment.size
+        })
+        .select(MESSAGE_SELECT)
+        .single();
+
+      if (error) throw error;
+
+      await publishEvent(recipientId, 'message.created', message);
+      await logActivity({
+        action: 'message_sent',
+        actorId: user.userId,
+        clientId: isAdmin ? recipientId : user.userId,
+        targetType: 'message',
+        targetId: message.id,
+        details: { conversation_id: message.conversation_id, message_type: message.message_type },
+        event
+      });
+
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify(message)
+      };
+    }
+
+    const messageMatch = path.match(/^([^/]+)(?:\/(read))?$/);
+
+    // Edit my own message
+    if (messageMatch && !messageMatch[2] && method === 'PUT') {
+      const { content } = JSON.parse(event.body || '{}');
+      const trimmed = (content || '').trim();
+
+      if (!trimmed || trimmed.length > MAX_CONTENT_LENGTH) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: `Content must be 1-${MAX_CONTENT_LENGTH} characters` })
+        };
+      }
+
+      const { data: message, error } = await supabase
+        .from('messages')
+        .update({
+          content: trimmed,
+          is_edited: true,
+          edited_at: new Date().toISOString()
+        })
+        .eq('id', messageMatch[1])
+        .eq('sender_id', user.userId)
+        .select(MESSAGE_SELECT)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!message) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Message not found' })
+        };
+      }
+
+      await publishEvent(message.recipient_id, 'message.updated', message);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(message)
+      };
+    }
+
+    // Read receipt for a single message
+    if (messageMatch && messageMatch[2] === 'read' && method === 'PUT') {
+      const { data: message, error } = await supabase
+        .from('messages')
+        .update({ is_read: true, read_at: new Date().toISOString() })
+        .eq('id', messageMatch[1])
+        .eq('recipient_id', user.userId)
+        .eq('is_read', false)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (message) {
+        await publishEvent(message.sender_id, 'message.read', {
+          conversation_id: message.conversation_id,
+          message_ids: [message.id],
+          read_at: message.read_at
+        });
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(message || { success: true })
+      };
+    }
+
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Not found' })
+    };
+
+  } catch (error) {
+    console.error('Messages error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
+
+// Helper functions
+
+// One conversation per pair of users, so both sides always land in the same thread
+function conversationIdFor(userA, userB) {
+  const hex = crypto
+    .createHash('sha1')
+    .update([userA, userB].sort().join(':'))
+    .digest('hex');
+
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    '5' + hex.slice(13, 16),
+    ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16) + hex.slice(17, 20),
+    hex.slice(20, 32)
+  ].join('-');
+}
+
+// Clients can only message the trainer; the trainer can message any active client
+async function resolveRecipient(user, isAdmin, messageData) {
+  if (!isAdmin) {
+    const { data: trainer } = await supabase
+      .from('users')
+      .select('id')
+      .eq('role', 'admin')
+      .limit(1)
+      .maybeSingle();
+
+    if (!trainer) return null;
+    if (messageData.recipient_id && messageData.recipient_id !== trainer.id) return null;
+    return trainer.id;
+  }
+
+  const { data: recipient } = await supabase
+    .from('users')
+    .select('id, role, is_active')
+    .eq('id', messageData.recipient_id)
+    .maybeSingle();
+
+  if (!recipient || recipient.role !== 'client' || !recipient.is_active) return null;
+  return recipient.id;
+}
+
+// =========================================
+// /netlify/functions/utils/storage.js
+// Cloudinary uploads for user-provided files
+// =========================================
+const cloudinary = require('cloudinary').v2;
+
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+const DATA_URI_PATTERN = /^data:([\w.+-]+\/[\w.+-]+);base64,(.+)$/;
+
+// What's wrong with an attachment the client sent, or null if it can be uploaded
+function validateAttachment(dataUri) {
+  const match = DATA_URI_PATTERN.exec(dataUri || '');
+  if (!match) return 'Attachments must be sent as a base64 data URI';
+  if (Buffer.byteLength(match[2], 'base64') > MAX_UPLOAD_BYTES) return 'Attachments are limited to 5 MB';
+  return null;
+}
+
+// Accepts a data URI ("data:image/png;base64,...") and returns where it was stored
+async function uploadAttachment(dataUri, folder) {
+  const invalid = validateAttachment(dataUri);
+  if (invalid) {
+    throw new Error(invalid);
+  }
+
+  const [, mimeType, base64] = DATA_URI_PATTERN.exec(dataUri);
+  const size = Buffer.byteLength(base64, 'base64');
+
+  const result = await cloudinary.uploader.upload(dataUri, {
+    folder,
+    resource_type: 'auto'
+  });
+
+  return {
+    url: result.secure_url,
+    mimeType,
+    size,
+    kind: attachmentKind(mimeType)
+  };
+}
+
+function attachmentKind(mimeType) {
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType.startsWith('video/')) return 'video';
+  if (mimeType.startsWith('audio/')) return 'audio';
+  return 'file';
+}
+
+module.exports = { validateAttachment, uploadAttachment };
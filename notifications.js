@@ -0,0 +1,113 @@
+// =========================================
+// /netlify/functions/notifications.js
+// In-app notifications for the signed-in user
+// =========================================
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken } = require('./utils/auth');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  const user = verifyToken(event.headers.authorization);
+  if (!user) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+
+  const path = event.path
+    .replace('/.netlify/functions/notifications', '')
+    .replace(/^\//, '');
+  const method = event.httpMethod;
+
+  try {
+    // Recent notifications, newest first
+    if (path === '' && method === 'GET') {
+      const { limit = 20, unread } = event.queryStringParameters || {};
+
+      let query = supabase
+        .from('notifications')
+        .select('*')
+        .eq('user_id', user.userId)
+        .order('created_at', { ascending: false })
+        .limit(Number(limit));
+
+      if (unread === 'true') {
+        query = query.is('read_at', null);
+      }
+
+      const { data: notifications, error } = await query;
+      if (error) throw error;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(notifications)
+      };
+    }
+
+    // Mark everything read
+    if (path === 'read-all' && method === 'PUT') {
+      await supabase
+        .from('notifications')
+        .update({ read_at: new Date().toISOString() })
+        .eq('user_id', user.userId)
+        .is('read_at', null);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true })
+      };
+    }
+
+    // Mark one read
+    const readMatch = path.match(/^([^/]+)\/read$/);
+    if (readMatch && method === 'PUT') {
+      const { data: notification, error } = await supabase
+        .from('notifications')
+        .update({ read_at: new Date().toISOString() })
+        .eq('id', readMatch[1])
+        .eq('user_id', user.userId)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(notification)
+      };
+    }
+
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Not found' })
+    };
+
+  } catch (error) {
+    console.error('Notifications error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
@@ -0,0 +1,465 @@
+// =========================================
+// /netlify/functions/nutrition.js
+// Meal plan targets and daily food logging
+// =========================================
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken, requireAdmin } = require('./utils/auth');
+const { getZonedParts, addDays } = require('./utils/scheduling');
+const { recalculateStreak } = require('./utils/streaks');
+const { getPlans, planForDate } = require('./utils/meal-plans');
+const { checkAchievements } = require('./utils/achievements');
+const { checkGoalProgress } = require('./utils/goals');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+const NUTRIENTS = ['calories', 'protein_g', 'carbs_g', 'fat_g', 'fiber_g', 'water_ml'];
+const WHOLE_NUMBER_NUTRIENTS = ['calories', 'water_ml']; // INTEGER columns in nutrition_logs
+const PLAN_TARGETS = ['daily_calories', 'protein_g', 'carbs_g', 'fat_g', 'fiber_g', 'water_ml'];
+const MAX_SUMMARY_DAYS = 31;
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  const user = verifyToken(event.headers.authorization);
+  if (!user) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+
+  const path = event.path.replace('/.netlify/functions/nutrition/', '');
+  const method = event.httpMethod;
+  const isAdmin = requireAdmin(user);
+  const params = event.queryStringParameters || {};
+  const clientId = isAdmin && params.client_id ? params.client_id : user.userId;
+
+  try {
+    // Active meal plan (null when the trainer hasn't set one)
+    if (path === 'plan' && method === 'GET') {
+      const today = await getClientToday(clientId);
+      const plan = planForDate(await getPlans(clientId), today);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(plan)
+      };
+    }
+
+    // Set a client's targets; replaces the current plan (admin only)
+    if (path === 'plan' && method === 'POST') {
+      if (!isAdmin) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Admin access required' })
+        };
+      }
+
+      const planData = JSON.parse(event.body || '{}');
+      if (!planData.client_id || !planData.daily_calories) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'client_id and daily_calories are required' })
+        };
+      }
+
+      const invalidTarget = PLAN_TARGETS.find(key =>
+        planData[key] !== undefined && planData[key] !== null &&
+        !(Number.isInteger(planData[key]) && planData[key] >= 0)
+      );
+      if (invalidTarget) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: `${invalidTarget} must be a non-negative whole number` })
+        };
+      }
+
+      const plan = await replaceActivePlan(planData.client_id, {
+        name: planData.name,
+        daily_calories: planData.daily_calories,
+        protein_g: planData.protein_g,
+        carbs_g: planData.carbs_g,
+        fat_g: planData.fat_g,
+        fiber_g: planData.fiber_g,
+        water_ml: planData.water_ml,
+        start_date: planData.start_date || await getClientToday(planData.client_id),
+        end_date: planData.end_date
+      });
+
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify(plan)
+      };
+    }
+
+    // Entries for one day
+    if (path === 'log' && method === 'GET') {
+      const date = params.date || await getClientToday(clientId);
+
+      const { data: logs, error } = await supabase
+        .from('nutrition_logs')
+        .select('*')
+        .eq('client_id', clientId)
+        .eq('log_date', date)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(logs)
+      };
+    }
+
+    // Log a meal or water intake
+    if (path === 'log' && method === 'POST') {
+      const logData = JSON.parse(event.body || '{}');
+      const today = await getClientToday(user.userId);
+      const logDate = logData.date || logData.log_date || today;
+
+      const validationError = validateLog(logData, logDate, today);
+      if (validationError) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: validationError })
+        };
+      }
+
+      const { data: entry, error } = await supabase
+        .from('nutrition_logs')
+        .insert({
+          client_id: user.userId,
+          log_date: logDate,
+          meal_type: logData.meal_type || null,
+          food_description: logData.food_description,
+          ...pickNutrients(logData)
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      await refreshAfterLogChange(user.userId);
+      await bestEffort('achievements', () => checkAchievements(user.userId));
+      const [summary] = await getDailySummaries(user.userId, logDate, logDate);
+
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify({ entry, summary })
+      };
+    }
+
+    const logMatch = path.match(/^log\/([^/]+)$/);
+
+    // Correct an entry
+    if (logMatch && method === 'PUT') {
+      const logData = JSON.parse(event.body || '{}');
+      const { data: existing } = await supabase
+        .from('nutrition_logs')
+        .select('*')
+        .eq('id', logMatch[1])
+        .eq('client_id', user.userId)
+        .maybeSingle();
+
+      if (!existing) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Log entry not found' })
+        };
+      }
+
+      const merged = { ...existing, ...logData };
+      const validationError = validateLog(merged, existing.log_date, existing.log_date);
+      if (validationError) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: validationError })
+        };
+      }
+
+      const { data: entry, error } = await supabase
+        .from('nutrition_logs')
+        .update({
+          meal_type: merged.meal_type || null,
+          food_description: merged.food_description,
+          ...pickNutrients(merged)
+        })
+        .eq('id', existing.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      // Corrected calories can move habit goals and the days-on-target achievement
+      await refreshAfterLogChange(user.userId);
+      await bestEffort('achievements', () => checkAchievements(user.userId));
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(entry)
+      };
+    }
+
+    // Remove an entry
+    if (logMatch && method === 'DELETE') {
+      const { data: deleted, error } = await supabase
+        .from('nutrition_logs')
+        .delete()
+        .eq('id', logMatch[1])
+        .eq('client_id', user.userId)
+        .select('id');
+
+      if (error) throw error;
+      if (!deleted.length) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Log entry not found' })
+        };
+      }
+
+      await refreshAfterLogChange(user.userId);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true })
+      };
+    }
+
+    // Daily totals against plan targets
+    if (path === 'summary' && method === 'GET') {
+      const today = await getClientToday(clientId);
+      const from = params.from || params.date || today;
+      const to = params.to || params.date || from;
+
+      const days = Math.round((new Date(to) - new Date(from)) / 86400000) + 1;
+      if (!(days >= 1 && days <= MAX_SUMMARY_DAYS)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: `Summary range must be 1-${MAX_SUMMARY_DAYS} days` })
+        };
+      }
+
+      const summaries = await getDailySummaries(clientId, from, to);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(summaries)
+      };
+    }
+
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Not found' })
+    };
+
+  } catch (error) {
+    console.error('Nutrition error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
+
+// Helper functions
+
+// The log change is already saved, so these must not turn it into a 500 (and a
+// retried, duplicated entry); they are recalculated on the next change anyway
+async function bestEffort(label, step) {
+  try {
+    return await step();
+  } catch (error) {
+    console.error(`Nutrition log ${label} failed:`, error);
+    return null;
+  }
+}
+
+async function refreshAfterLogChange(clientId) {
+  await bestEffort('streak', () => recalculateStreak(clientId, 'nutrition_logging'));
+  await bestEffort('goals', () => checkGoalProgress(clientId));
+}
+
+async function getClientToday(clientId) {
+  const { data: client } = await supabase
+    .from('users')
+    .select('timezone')
+    .eq('id', clientId)
+    .maybeSingle();
+
+  return getZonedParts(new Date(), client?.timezone || 'UTC').date;
+}
+
+// End the current plan the day before its replacement starts
+async function replaceActivePlan(clientId, plan) {
+  await supabase
+    .from('meal_plans')
+    .update({ is_active: false, end_date: addDays(plan.start_date, -1) })
+    .eq('client_id', clientId)
+    .eq('is_active', true);
+
+  const { data: created, error } = await supabase
+    .from('meal_plans')
+    .insert({ client_id: clientId, is_active: true, ...plan })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return created;
+}
+
+function pickNutrients(logData) {
+  const nutrients = {};
+  NUTRIENTS.forEach(key => {
+    if (logData[key] !== undefined) nutrients[key] = logData[key];
+  });
+  return nutrients;
+}
+
+function validateLog(logData, logDate, today) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(logDate) || isNaN(new Date(logDate))) {
+    return 'date must be YYYY-MM-DD';
+  }
+  if (logDate > today) {
+    return 'Cannot log food for a future date';
+  }
+  if (logData.meal_type && !MEAL_TYPES.includes(logData.meal_type)) {
+    return `meal_type must be one of: ${MEAL_TYPES.join(', ')}`;
+  }
+
+  for (const key of NUTRIENTS) {
+    const value = logData[key];
+    if (value !== undefined && value !== null && !(typeof value === 'number' && value >= 0)) {
+      return `${key} must be a non-negative number`;
+    }
+    if (WHOLE_NUMBER_NUTRIENTS.includes(key) && value != null && !Number.isInteger(value)) {
+      return `${key} must be a whole number`;
+    }
+  }
+
+  // A meal needs something to log; water-only entries need water_ml
+  if (logData.meal_type && !logData.food_description && !logData.calories) {
+    return 'Meals need a food_description or calories';
+  }
+  if (!logData.meal_type && !logData.water_ml) {
+    return 'Provide a meal_type, or water_ml for a water-only entry';
+  }
+
+  return null;
+}
+
+async function getDailySummaries(clientId, from, to) {
+  const { data: logs, error } = await supabase
+    .from('nutrition_logs')
+    .select('*')
+    .eq('client_id', clientId)
+    .gte('log_date', from)
+    .lte('log_date', to);
+
+  if (error) throw error;
+
+  const plans = await getPlans(clientId);
+  const summaries = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const plan = planForDate(plans, date);
+    const dayLogs = logs.filter(log => log.log_date === date);
+
+    const totals = {};
+    NUTRIENTS.forEach(key => {
+      totals[key] = Math.round(dayLogs.reduce((sum, log) => sum + Number(log[key] || 0), 0) * 10) / 10;
+    });
+
+    const targets = plan ? {
+      calories: plan.daily_calories,
+      protein_g: plan.protein_g,
+      carbs_g: plan.carbs_g,
+      fat_g: plan.fat_g,
+      fiber_g: plan.fiber_g,
+      water_ml: plan.water_ml
+    } : null;
+
+    const remaining = {};
+    const percent = {};
+    if (targets) {
+      NUTRIENTS.forEach(key => {
+        if (targets[key]) {
+          remaining[key] = Math.round((targets[key] - totals[key]) * 10) / 10;
+          percent[key] = Math.round((totals[key] / targets[key]) * 100);
+        }
+      });
+    }
+
+    summaries.push({
+      date,
+      meals: dayLogs.filter(log => log.meal_type).length,
+      totals,
+      targets,
+      remaining,
+      percent
+    });
+  }
+
+  return summaries;
+}
+
+// =========================================
+// /netlify/functions/utils/meal-plans.js
+// Which meal plan applied on a given day
+// =========================================
+const { createClient: createPlansClient } = require('@supabase/supabase-js');
+
+const supabasePlans = createPlansClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+async function getPlans(clientId) {
+  const { data: plans, error } = await supabasePlans
+    .from('meal_plans')
+    .select('*')
+    .eq('client_id', clientId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return plans;
+}
+
+// Newest plan covering the date; replaced plans still count for the days they ran
+function planForDate(plans, date) {
+  return plans.find(plan =>
+    (plan.is_active || plan.end_date) &&
+    (!plan.start_date || plan.start_date <= date) &&
+    (!plan.end_date || plan.end_date >= date)
+  ) || null;
+}
+
+module.exports = { getPlans, planForDate };
@@ -0,0 +1,288 @@
+// =========================================
+// /netlify/functions/realtime.js
+// Server-sent events stream over the realtime_events outbox
+// =========================================
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken } = require('./utils/auth');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Functions can't hold a socket open, so each request waits up to HOLD_MS
+// for new events, returns them as an SSE body and the client reconnects
+const HOLD_MS = Number(process.env.REALTIME_HOLD_SECONDS || 8) * 1000;
+const POLL_MS = 1500;
+const RETRY_MS = 1000;
+const MAX_BATCH = 200;
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, Last-Event-ID',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  const user = verifyToken(event.headers.authorization);
+  if (!user) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+
+  const path = event.path.replace('/.netlify/functions/realtime/', '');
+  const method = event.httpMethod;
+
+  try {
+    // Event stream; resumes after Last-Event-ID (or ?since=) so nothing is missed
+    if (path === 'events' && method === 'GET') {
+      const { since } = event.queryStringParameters || {};
+      const lastEventId = event.headers['last-event-id'] || since;
+      const streamHeaders = {
+        ...headers,
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache'
+      };
+
+      // First connection: start from the newest event instead of replaying history
+      if (!lastEventId) {
+        const { data: latest } = await supabase
+          .from('realtime_events')
+          .select('id')
+          .eq('user_id', user.userId)
+          .order('id', { ascending: false })
+          .limit(1)
+          .maybeSingle();
+
+        return {
+          statusCode: 200,
+          headers: streamHeaders,
+          body: formatStream([{ id: latest?.id || 0, event_type: 'ready', payload: {} }])
+        };
+      }
+
+      const deadline = Date.now() + HOLD_MS;
+      let events = [];
+
+      while (true) {
+        const { data, error } = await supabase
+          .from('realtime_events')
+          .select('id, event_type, payload, created_at')
+          .eq('user_id', user.userId)
+          .gt('id', Number(lastEventId))
+          .order('id', { ascending: true })
+          .limit(MAX_BATCH);
+
+        if (error) throw error;
+        events = data;
+
+        if (events.length || Date.now() + POLL_MS > deadline) break;
+        await new Promise(resolve => setTimeout(resolve, POLL_MS));
+      }
+
+      return {
+        statusCode: 200,
+        headers: streamHeaders,
+        body: formatStream(events)
+      };
+    }
+
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Not found' })
+    };
+
+  } catch (error) {
+    console.error('Realtime error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
+
+// Helper functions
+function formatStream(events) {
+  const lines = [`retry: ${RETRY_MS}`, ''];
+
+  for (const e of events) {
+    lines.push(`id: ${e.id}`);
+    lines.push(`event: ${e.event_type}`);
+    lines.push(`data: ${JSON.stringify({ type: e.event_type, payload: e.payload, created_at: e.created_at })}`);
+    lines.push('');
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// =========================================
+// /netlify/functions/utils/realtime.js
+// Publishing events for the realtime stream
+// =========================================
+const { createClient: createRealtimeClient } = require('@supabase/supabase-js');
+
+const supabaseRealtime = createRealtimeClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Best effort: a failed publish is logged and never fails the caller's request
+async function publishEvent(userIds, eventType, payload = {}) {
+  const rows = [].concat(userIds)
+    .filter(Boolean)
+    .map(userId => ({ user_id: userId, event_type: eventType, payload }));
+
+  if (!rows.length) return;
+
+  const { error } = await supabaseRealtime
+    .from('realtime_events')
+    .insert(rows);
+
+  if (error) {
+    console.error(`Publishing ${eventType} failed:`, error);
+  }
+}
+
+async function publishToAdmins(eventType, payload = {}) {
+  const { data: admins } = await supabaseRealtime
+    .from('users')
+    .select('id')
+    .eq('role', 'admin');
+
+  await publishEvent((admins || []).map(a => a.id), eventType, payload);
+}
+
+module.exports = { publishEvent, publishToAdmins };
+
+// =========================================
+// /netlify/functions/realtime-prune.js
+// Daily cleanup of delivered realtime events
+// =========================================
+const { schedule } = require('@netlify/functions');
+const { createClient: createPruneClient } = require('@supabase/supabase-js');
+
+const supabasePrune = createPruneClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Clients offline for longer than this refetch instead of catching up
+const RETENTION_DAYS = 7;
+
+exports.handler = schedule('@daily', async () => {
+  try {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 86400000).toISOString();
+
+    const { error } = await supabasePrune
+      .from('realtime_events')
+      .delete()
+      .lt('created_at', cutoff);
+
+    if (error) throw error;
+    return { statusCode: 200 };
+  } catch (error) {
+    console.error('Realtime prune error:', error);
+    return { statusCode: 500 };
+  }
+});
+
+// =========================================
+// /scripts/realtime-standin.js
+// Local stand-in for the realtime function
+// Run with: node scripts/realtime-standin.js
+// Point the app at it with REACT_APP_REALTIME_URL=http://localhost:8787/events
+// =========================================
+const http = require('http');
+
+const PORT = Number(process.env.PORT || 8787);
+const standinEvents = [];
+const waiting = new Set();
+
+function writeEvents(res, events) {
+  res.writeHead(200, {
+    'Access-Control-Allow-Origin': '*',
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache'
+  });
+  res.write('retry: 1000\n\n');
+  for (const e of events) {
+    res.write(`id: ${e.id}\nevent: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`);
+  }
+  res.end();
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, Last-Event-ID'
+    });
+    return res.end();
+  }
+
+  // Same contract as /realtime/events
+  if (url.pathname === '/events' && req.method === 'GET') {
+    const lastEventId = req.headers['last-event-id'] || url.searchParams.get('since');
+    if (!lastEventId) {
+      return writeEvents(res, [{ id: standinEvents.length, type: 'ready', payload: {} }]);
+    }
+
+    const pending = standinEvents.filter(e => e.id > Number(lastEventId));
+    if (pending.length) return writeEvents(res, pending);
+
+    const waiter = { lastEventId: Number(lastEventId), res };
+    waiting.add(waiter);
+    setTimeout(() => {
+      if (waiting.delete(waiter)) writeEvents(res, []);
+    }, 8000);
+    return;
+  }
+
+  // POST /publish {"type": "message.created", "payload": {...}} to push an event
+  if (url.pathname === '/publish' && req.method === 'POST') {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { type, payload = {} } = JSON.parse(body || '{}');
+      const published = { id: standinEvents.length + 1, type, payload, created_at: new Date().toISOString() };
+      standinEvents.push(published);
+
+      for (const waiter of waiting) {
+        waiting.delete(waiter);
+        writeEvents(waiter.res, standinEvents.filter(e => e.id > waiter.lastEventId));
+      }
+
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(published));
+    });
+    return;
+  }
+
+  // Drop every open connection to exercise client reconnects
+  if (url.pathname === '/disconnect' && req.method === 'POST') {
+    for (const waiter of waiting) {
+      waiting.delete(waiter);
+      waiter.res.destroy();
+    }
+    res.writeHead(204);
+    return res.end();
+  }
+
+  res.writeHead(404);
+  res.end();
+});
+
+server.listen(PORT, () => {
+  console.log(`Realtime stand-in listening on http://localhost:${PORT}/events`);
+});
@@ -10,44 +10,134 @@
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || '/.netlify/functions';
 
+// Runs task while holding a lock shared by every tab on this origin, where
+// the browser supports it
+function withTabLock(name, task) {
+  return navigator.locks ? navigator.locks.request(name, task) : task();
+}
+
 class ApiService {
   constructor() {
     this.token = localStorage.getItem('authToken');
+    this.refreshing = null;
+    this.stepUpHandler = null;
+  }
+
+  // handler() resolves to an authenticator code (or null to cancel); it runs
+  // when a sensitive action needs a fresh second factor
+  setStepUpHandler(handler) {
+    this.stepUpHandler = handler;
   }
 
-  // Set authorization token
-  setAuthToken(token) {
+  // Set authorization token (and the refresh token that renews it). The refresh
+  // token lives only in localStorage, which every tab shares.
+  setAuthToken(token, refreshToken) {
     this.token = token;
     localStorage.setItem('authToken', token);
+
+    if (refreshToken) {
+      localStorage.setItem('refreshToken', refreshToken);
+    }
   }
 
   // Clear authorization
   logout() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      fetch(`${API_BASE_URL}/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh_token: refreshToken }),
+        keepalive: true
+      }).catch(() => {});
+    }
+
     this.token = null;
     localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('userRole');
+    localStorage.removeItem('realtimeLastEventId');
     window.location.href = '/login';
   }
 
-  // Base fetch wrapper with auth
-  async fetchWithAuth(url, options = {}) {
+  // Get a new access token. Concurrent callers share one refresh, and other
+  // tabs wait their turn, since each refresh token only works once (reusing one
+  // ends the session everywhere). Resolves false when the session is over.
+  refreshSession() {
+    if (!this.refreshing) {
+      this.refreshing = withTabLock('auth-refresh', async () => {
+        // Another tab may have refreshed already; use the tokens it stored
+        const storedToken = localStorage.getItem('authToken');
+        if (storedToken && storedToken !== this.token) {
+          this.token = storedToken;
+          return true;
+        }
+
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken) return false;
+
+        try {
+          const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refresh_token: refreshToken })
+          });
+          if (!response.ok) return false;
+
+          const data = await response.json();
+          this.setAuthToken(data.token, data.refresh_token);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      }).finally(() => {
+        this.refreshing = null;
+      });
+    }
+
+    return this.refreshing;
+  }
+
+  // Base fetch wrapper with auth. On a 401 the request waits for a token
+  // refresh and is replayed once; only a failed refresh logs the user out.
+  async fetchWithAuth(url, options = {}, retried = false) {
+    if (this.refreshing) await this.refreshing;
+
+    const token = this.token;
     const response = await fetch(`${API_BASE_URL}${url}`, {
       ...options,
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': this.token ? `Bearer ${this.token}` : '',
+        'Authorization': token ? `Bearer ${token}` : '',
         ...options.headers
       }
     });
 
     if (response.status === 401) {
+      // Someone else may already have refreshed while this request was in flight
+      if (!retried && (this.token !== token || await this.refreshSession())) {
+        return this.fetchWithAuth(url, options, true);
+      }
       this.logout();
       throw new Error('Unauthorized');
     }
 
     if (!response.ok) {
       const error = await response.json();
-      throw new Error(error.message || 'API request failed');
+
+      // Sensitive admin action: ask for a code, step up, then replay once
+      if (response.status === 403 && error.code === 'step_up_required' && this.stepUpHandler && !retried) {
+        const code = await this.stepUpHandler();
+        if (code) {
+          const data = await this.post('/auth/2fa/step-up', { code });
+          this.setAuthToken(data.token);
+          return this.fetchWithAuth(url, options, true);
+        }
+      }
+
+      const apiError = new Error(error.error || error.message || 'API request failed');
+      apiError.code = error.code;
+      throw apiError;
     }
 
     return response.json();
@@ -99,8 +189,13 @@ export class AuthService {
 
       const data = await response.json();
       
+      // 2FA accounts get { mfa_required, mfa_token }; finish with verifyTwoFactor
+      if (data.mfa_required) {
+        return data;
+      }
+
       if (data.token) {
-        api.setAuthToken(data.token);
+        api.setAuthToken(data.token, data.refresh_token);
         localStorage.setItem('userRole', data.user.role);
         localStorage.setItem('userData', JSON.stringify(data.user));
         return data;
@@ -117,13 +212,73 @@ export class AuthService {
     return this.adminLogin(username, password); // Same endpoint, role determined by backend
   }
 
-  // Register new client
+  // Register new client (the backend only ever creates client accounts)
   static async registerClient(clientData) {
-    const response = await api.post('/auth/register', {
-      ...clientData,
-      role: 'client'
-    });
-    return response;
+    const { role, ...registration } = clientData;
+    const data = await api.post('/auth/register', registration);
+
+    api.setAuthToken(data.token, data.refresh_token);
+    localStorage.setItem('userRole', data.user.role);
+    localStorage.setItem('userData', JSON.stringify(data.user));
+    return data;
+  }
+
+  // Second login step: { code } from the authenticator app or { recovery_code }
+  static async verifyTwoFactor(mfaToken, factor) {
+    const data = await api.post('/auth/2fa/verify', { mfa_token: mfaToken, ...factor });
+
+    api.setAuthToken(data.token, data.refresh_token);
+    localStorage.setItem('userRole', data.user.role);
+    localStorage.setItem('userData', JSON.stringify(data.user));
+    return data;
+  }
+
+  // Start 2FA enrollment (returns secret, otpauth_url and a QR code image)
+  static async setupTwoFactor() {
+    return api.post('/auth/2fa/setup', {});
+  }
+
+  // Confirm enrollment with a code; returns the one-time recovery codes
+  static async enableTwoFactor(code) {
+    const data = await api.post('/auth/2fa/enable', { code });
+    api.setAuthToken(data.token);
+    return data;
+  }
+
+  // Replace recovery codes (needs a recent code)
+  static async regenerateRecoveryCodes() {
+    return api.post('/auth/2fa/recovery-codes', {});
+  }
+
+  // Turn 2FA off (needs a recent code)
+  static async disableTwoFactor() {
+    return api.post('/auth/2fa/disable', {});
+  }
+
+  // Email a password reset link
+  static async forgotPassword(email) {
+    return api.post('/auth/forgot-password', { email });
+  }
+
+  // Set a new password from a reset link (reset) or invitation (invitation)
+  static async setPassword(token, password, mode = 'reset') {
+    const path = mode === 'invitation' ? '/auth/accept-invitation' : '/auth/reset-password';
+    const data = await api.post(path, { token, password });
+
+    api.setAuthToken(data.token, data.refresh_token);
+    localStorage.setItem('userRole', data.user.role);
+    localStorage.setItem('userData', JSON.stringify(data.user));
+    return data;
+  }
+
+  // Confirm an email address from the emailed link
+  static async verifyEmail(token) {
+    return api.post('/auth/verify-email', { token });
+  }
+
+  // Send the signed-in user a new verification link
+  static async resendVerification() {
+    return api.post('/auth/resend-verification', {});
   }
 
   // Get current user
@@ -181,6 +336,11 @@ export class StripeService {
     return api.get('/stripe-payments/subscription-status');
   }
 
+  // Get invoice history with PDF and pay-online links
+  static async getInvoices(limit = 24) {
+    return api.get(`/stripe-payments/invoices?limit=${limit}`);
+  }
+
   // Cancel subscription
   static async cancelSubscription() {
     // Handled through customer portal
@@ -220,8 +380,38 @@ export class AdminService {
   }
 
   // Update client subscription
-  static async updateClientSubscription(clientId, plan) {
-    return api.put(`/admin-dashboard/client/${clientId}/subscription`, { plan });
+  static async updateClientSubscription(clientId, plan, prorationDate) {
+    return api.put(`/admin-dashboard/client/${clientId}/subscription`, {
+      action: 'change',
+      plan,
+      proration_date: prorationDate
+    });
+  }
+
+  // Preview the proration for a plan change without applying it
+  static async previewSubscriptionChange(clientId, plan) {
+    return api.put(`/admin-dashboard/client/${clientId}/subscription`, { action: 'change', plan, preview: true });
+  }
+
+  // Comp, end a comp, pause or resume a client's billing
+  static async setClientBilling(clientId, action, options = {}) {
+    return api.put(`/admin-dashboard/client/${clientId}/subscription`, { action, ...options });
+  }
+
+  // Get payments across clients (filters: status, client_id, limit)
+  static async getPayments(filters = {}) {
+    const params = new URLSearchParams(filters);
+    return api.get(`/admin-dashboard/payments?${params}`);
+  }
+
+  // Refund a payment; omit amount to refund everything not yet refunded
+  static async refundPayment(paymentId, amount, reason) {
+    return api.post(`/admin-dashboard/payments/${paymentId}/refund`, { amount, reason });
+  }
+
+  // Add account credit that Stripe applies to the client's next invoices
+  static async issueCredit(clientId, amount, reason) {
+    return api.post(`/admin-dashboard/client/${clientId}/credit`, { amount, reason });
   }
 
   // Send message to client
@@ -232,14 +422,50 @@ export class AdminService {
     });
   }
 
+  // Email a client a new set-password invitation
+  static async resendInvitation(clientId) {
+    return api.post('/admin-dashboard/resend-invitation', { client_id: clientId });
+  }
+
+  // Grant a client streak freeze tokens
+  static async grantStreakFreezes(clientId, streakType = 'workout', count = 1) {
+    return api.post('/streaks/freezes', { client_id: clientId, streak_type: streakType, count });
+  }
+
+  // Set a client's nutrition targets
+  static async setNutritionPlan(clientId, targets) {
+    return api.post('/nutrition/plan', { client_id: clientId, ...targets });
+  }
+
   // Get upcoming sessions
   static async getUpcomingSessions() {
     return api.get('/calendar/upcoming');
   }
 
-  // Get activity logs
-  static async getActivityLogs(limit = 50) {
-    return api.get(`/admin-dashboard/activity?limit=${limit}`);
+  // Get activity logs (filters: action list, client_id, actor_id, from, to, cursor)
+  static async getActivityLogs(limit = 50, filters = {}) {
+    const params = new URLSearchParams({ limit, ...filters });
+    return api.get(`/admin-dashboard/activity?${params}`);
+  }
+
+  // Get past-due clients in the dunning sequence
+  static async getDunningQueue() {
+    return api.get('/admin-dashboard/dunning');
+  }
+
+  // Get unpaid invoices across clients (status: open or overdue)
+  static async getOpenInvoices(status = 'open') {
+    return api.get(`/admin-dashboard/invoices?status=${status}`);
+  }
+
+  // Get Stripe webhook events that failed to process
+  static async getWebhookFailures(includeResolved = false) {
+    return api.get(`/stripe-payments/webhook-failures?include_resolved=${includeResolved}`);
+  }
+
+  // Run a failed webhook event again
+  static async replayWebhookEvent(eventId) {
+    return api.post(`/stripe-payments/webhook-failures/${eventId}/replay`);
   }
 }
 
@@ -273,9 +499,14 @@ export class ClientService {
     });
   }
 
-  // Get workouts
-  static async getWorkouts() {
-    return api.get('/workouts');
+  // Get workouts (upcoming, completed or all)
+  static async getWorkouts(status = 'all') {
+    return api.get(`/workouts?status=${status}`);
+  }
+
+  // Get a workout with its exercises
+  static async getWorkout(workoutId) {
+    return api.get(`/workouts/${workoutId}`);
   }
 
   // Complete workout
@@ -288,11 +519,51 @@ export class ClientService {
     return api.get('/nutrition/plan');
   }
 
-  // Log nutrition
+  // Log nutrition (a meal with macros, or water_ml on its own)
   static async logNutrition(nutritionData) {
     return api.post('/nutrition/log', nutritionData);
   }
 
+  // Get a day's nutrition entries
+  static async getNutritionLog(date) {
+    return api.get(`/nutrition/log${date ? `?date=${date}` : ''}`);
+  }
+
+  // Correct a nutrition entry
+  static async updateNutritionLog(logId, nutritionData) {
+    return api.put(`/nutrition/log/${logId}`, nutritionData);
+  }
+
+  // Delete a nutrition entry
+  static async deleteNutritionLog(logId) {
+    return api.delete(`/nutrition/log/${logId}`);
+  }
+
+  // Get daily totals against plan targets
+  static async getNutritionSummary(from, to = from) {
+    return api.get(`/nutrition/summary?from=${from}&to=${to}`);
+  }
+
+  // Get goals with progress and projected completion
+  static async getGoals() {
+    return api.get('/goals');
+  }
+
+  // Set a goal
+  static async createGoal(goalData) {
+    return api.post('/goals', goalData);
+  }
+
+  // Update a goal's target, priority or status
+  static async updateGoal(goalId, updates) {
+    return api.put(`/goals/${goalId}`, updates);
+  }
+
+  // Get streaks
+  static async getStreaks() {
+    return api.get('/streaks');
+  }
+
   // Get achievements
   static async getAchievements() {
     return api.get('/achievements');
@@ -312,6 +583,373 @@ export class ClientService {
   }
 }
 
+// =========================================
+// /src/services/calendar.service.js
+// Session scheduling and booking
+// =========================================
+
+export class CalendarService {
+  // Get upcoming scheduled sessions
+  static async getUpcoming(limit = 10) {
+    return api.get(`/calendar/upcoming?limit=${limit}`);
+  }
+
+  // Get events in a date range
+  static async getEvents(from, to) {
+    const params = new URLSearchParams();
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    return api.get(`/calendar/events?${params.toString()}`);
+  }
+
+  // Get trainer availability windows
+  static async getAvailability() {
+    return api.get('/calendar/availability');
+  }
+
+  // Replace trainer availability windows (admin)
+  static async updateAvailability(windows) {
+    return api.put('/calendar/availability', { windows });
+  }
+
+  // Get open slots between two dates (YYYY-MM-DD)
+  static async getOpenSlots(from, to, eventType = 'session') {
+    const params = new URLSearchParams({ from, to: to || from, event_type: eventType });
+    return api.get(`/calendar/slots?${params.toString()}`);
+  }
+
+  // Get durations and buffers per event type
+  static async getEventTypes() {
+    return api.get('/calendar/event-types');
+  }
+
+  // Update durations and buffers (admin)
+  static async updateEventTypes(eventTypes) {
+    return api.put('/calendar/event-types', { event_types: eventTypes });
+  }
+
+  // Get upcoming blackout dates
+  static async getBlackouts() {
+    return api.get('/calendar/blackouts');
+  }
+
+  // Block out a date range (admin)
+  static async addBlackout(startsOn, endsOn, reason) {
+    return api.post('/calendar/blackouts', {
+      starts_on: startsOn,
+      ends_on: endsOn,
+      reason
+    });
+  }
+
+  // Remove a blackout (admin)
+  static async removeBlackout(blackoutId) {
+    return api.delete(`/calendar/blackouts/${blackoutId}`);
+  }
+
+  // Book a session (client) or create an event (admin)
+  static async createEvent(eventData) {
+    return api.post('/calendar/events', eventData);
+  }
+
+  // Move a session to a new time; scope 'following' moves the rest of its series
+  static async reschedule(eventId, startTime, endTime, scope = 'this') {
+    return api.put(`/calendar/events/${eventId}/reschedule`, {
+      start_time: startTime,
+      end_time: endTime,
+      scope
+    });
+  }
+
+  // Cancel a session; scope 'following' ends its series from here
+  static async cancel(eventId, reason, scope = 'this') {
+    return api.put(`/calendar/events/${eventId}/cancel`, { reason, scope });
+  }
+
+  // Edit title, location, meeting link etc. (admin)
+  static async updateEvent(eventId, changes, scope = 'this') {
+    return api.put(`/calendar/events/${eventId}`, { ...changes, scope });
+  }
+
+  // Create a recurring series from an RRULE, e.g. 'FREQ=WEEKLY;BYDAY=MO,TH' (admin)
+  static async createSeries(seriesData) {
+    return api.post('/calendar/series', seriesData);
+  }
+
+  // Get active recurring series
+  static async getSeries(clientId) {
+    return api.get(`/calendar/series${clientId ? `?client_id=${clientId}` : ''}`);
+  }
+
+  // Get a series with its upcoming instances
+  static async getSeriesDetails(seriesId) {
+    return api.get(`/calendar/series/${seriesId}`);
+  }
+
+  // Create a calendar subscription link; replaces any previous link
+  static async createFeedLink() {
+    return api.post('/calendar/feed');
+  }
+
+  // Revoke the calendar subscription link
+  static async revokeFeedLink() {
+    return api.delete('/calendar/feed');
+  }
+
+  // Mark a session completed (admin)
+  static async complete(eventId, notes) {
+    return api.put(`/calendar/events/${eventId}/complete`, { notes });
+  }
+
+  // Mark a client as no-show (admin)
+  static async markNoShow(eventId) {
+    return api.put(`/calendar/events/${eventId}/no-show`);
+  }
+}
+
+// =========================================
+// /src/services/notification.service.js
+// In-app notifications
+// =========================================
+
+export class NotificationService {
+  // Get recent notifications
+  static async getNotifications(unreadOnly = false) {
+    return api.get(`/notifications${unreadOnly ? '?unread=true' : ''}`);
+  }
+
+  // Mark a notification read
+  static async markRead(notificationId) {
+    return api.put(`/notifications/${notificationId}/read`);
+  }
+
+  // Mark all notifications read
+  static async markAllRead() {
+    return api.put('/notifications/read-all');
+  }
+}
+
+// =========================================
+// /src/services/message.service.js
+// Trainer-client conversations
+// =========================================
+
+export class MessageService {
+  // Get conversations with latest message and unread count
+  static async getConversations() {
+    return api.get('/messages');
+  }
+
+  // Get a page of messages (older than `before` when paging back)
+  static async getConversation(conversationId, before) {
+    return api.get(`/messages/conversations/${conversationId}${before ? `?before=${encodeURIComponent(before)}` : ''}`);
+  }
+
+  // Send a message; the trainer passes recipient_id, clients always reach the trainer
+  static async send({ recipientId, content, attachment }) {
+    return api.post('/messages', {
+      recipient_id: recipientId,
+      content,
+      attachment_base64: attachment
+    });
+  }
+
+  // Edit one of my messages
+  static async edit(messageId, content) {
+    return api.put(`/messages/${messageId}`, { content });
+  }
+
+  // Mark a conversation read
+  static async markConversationRead(conversationId) {
+    return api.put(`/messages/conversations/${conversationId}/read`);
+  }
+
+  // Get unread message count
+  static async getUnreadCount() {
+    return api.get('/messages/unread-count');
+  }
+}
+
+// =========================================
+// /src/services/realtime.service.js
+// Push channel for messages, workouts and payment events
+// =========================================
+
+const REALTIME_URL = process.env.REACT_APP_REALTIME_URL || `${API_BASE_URL}/realtime/events`;
+const LAST_EVENT_KEY = 'realtimeLastEventId';
+const MAX_BACKOFF_MS = 30000;
+
+// SSE over fetch rather than EventSource, which can't send the Authorization header
+export class RealtimeClient {
+  constructor(url = REALTIME_URL) {
+    this.url = url;
+    this.listeners = new Set();
+    this.statusListeners = new Set();
+    this.status = 'idle';
+    this.lastEventId = localStorage.getItem(LAST_EVENT_KEY);
+    this.controller = null;
+  }
+
+  // Listen for events; the connection opens with the first listener and closes with the last
+  subscribe(listener) {
+    this.listeners.add(listener);
+    if (this.listeners.size === 1) this.start();
+
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0) this.stop();
+    };
+  }
+
+  onStatus(listener) {
+    this.statusListeners.add(listener);
+    return () => this.statusListeners.delete(listener);
+  }
+
+  setStatus(status) {
+    this.status = status;
+    this.statusListeners.forEach(listener => listener(status));
+  }
+
+  start() {
+    if (this.controller) return;
+    this.controller = new AbortController();
+    this.run(this.controller.signal);
+  }
+
+  stop() {
+    if (this.controller) this.controller.abort();
+    this.controller = null;
+    this.setStatus('idle');
+  }
+
+  async run(signal) {
+    let retryMs = 1000;
+    let failures = 0;
+    let dropped = false;
+    let refreshed = false;
+
+    while (!signal.aborted) {
+      try {
+        this.setStatus(dropped ? 'reconnecting' : 'connecting');
+        const response = await fetch(this.url, {
+          headers: {
+            'Authorization': api.token ? `Bearer ${api.token}` : '',
+            ...(this.lastEventId ? { 'Last-Event-ID': this.lastEventId } : {})
+          },
+          signal
+        });
+
+        if (response.status === 401) {
+          if (!refreshed && await api.refreshSession()) {
+            refreshed = true;
+            continue;
+          }
+          this.setStatus('unauthorized');
+          return;
+        }
+        refreshed = false;
+        if (!response.ok) throw new Error(`Realtime request failed: ${response.status}`);
+
+        this.setStatus('connected');
+
+        // Missed events are replayed after Last-Event-ID; tell listeners a gap
+        // was bridged so views can refetch anything older than the outbox keeps
+        if (dropped) {
+          this.dispatch({ type: 'reconnected', payload: {} });
+          dropped = false;
+        }
+        failures = 0;
+
+        await this.read(response, (field, value) => {
+          if (field === 'retry') retryMs = Number(value) || retryMs;
+        });
+
+        await sleep(retryMs, signal);
+      } catch (err) {
+        if (signal.aborted) return;
+
+        // Exponential backoff with jitter so clients don't reconnect in lockstep
+        failures++;
+        dropped = true;
+        this.setStatus('reconnecting');
+        const backoff = Math.min(MAX_BACKOFF_MS, 1000 * 2 ** (failures - 1));
+        await sleep(backoff / 2 + Math.random() * backoff / 2, signal);
+      }
+    }
+  }
+
+  // Parse the text/event-stream body as it arrives
+  async read(response, onField) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let pending = {};
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (line === '') {
+          if (pending.data !== undefined) this.handleEvent(pending);
+          pending = {};
+          continue;
+        }
+        if (line.startsWith(':')) continue;
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+        if (field === 'data') {
+          pending.data = pending.data === undefined ? value : `${pending.data}\n${value}`;
+        } else if (field === 'id' || field === 'event') {
+          pending[field] = value;
+        } else {
+          onField(field, value);
+        }
+      }
+    }
+  }
+
+  handleEvent({ id, event, data }) {
+    if (id !== undefined) {
+      this.lastEventId = id;
+      localStorage.setItem(LAST_EVENT_KEY, id);
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch (err) {
+      parsed = { payload: data };
+    }
+
+    this.dispatch({ type: event || parsed.type || 'message', payload: parsed.payload, id });
+  }
+
+  dispatch(event) {
+    this.listeners.forEach(listener => listener(event));
+  }
+}
+
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+export const realtime = new RealtimeClient();
+
 // =========================================
 // /src/services/ai.service.js
 // AI Coach integration
@@ -398,21 +1036,153 @@ export function useSubscriptionStatus() {
   return useApi(() => StripeService.getSubscriptionStatus());
 }
 
+// Invoice history hook
+export function useInvoices(limit) {
+  return useApi(() => StripeService.getInvoices(limit), [limit]);
+}
+
+// Upcoming sessions hook
+export function useUpcomingSessions(limit) {
+  return useApi(() => CalendarService.getUpcoming(limit), [limit]);
+}
+
+// Client detail hook (admin)
+export function useClientDetails(clientId) {
+  return useApi(() => AdminService.getClientDetails(clientId), [clientId]);
+}
+
+// =========================================
+// /src/hooks/useRealtime.js
+// Subscribe a component to realtime events
+// =========================================
+
+import { useState, useEffect, useRef } from 'react';
+import { realtime } from '../services/realtime.service';
+
+// Calls onEvent for each event whose type is in eventTypes (all events when omitted)
+// and returns the connection status
+export function useRealtime(eventTypes, onEvent) {
+  const [status, setStatus] = useState(realtime.status);
+  const handler = useRef(onEvent);
+  handler.current = onEvent;
+
+  useEffect(() => {
+    const offStatus = realtime.onStatus(setStatus);
+    const unsubscribe = realtime.subscribe(event => {
+      if (!eventTypes || eventTypes.includes(event.type)) {
+        handler.current(event);
+      }
+    });
+
+    return () => {
+      unsubscribe();
+      offStatus();
+    };
+  }, [eventTypes?.join(',')]);
+
+  return status;
+}
+
 // =========================================
 // /src/components/AdminDashboard.jsx
 // Updated Admin Dashboard with API integration
 // =========================================
 
 import React, { useState, useEffect } from 'react';
-import { useAdminDashboard } from '../hooks/useApi';
+import { useApi, useAdminDashboard } from '../hooks/useApi';
+import { useRealtime } from '../hooks/useRealtime';
 import { AdminService } from '../services/admin.service';
 import { StripeService } from '../services/stripe.service';
+import { api } from '../services/api';
+
+const ADMIN_LIVE_EVENTS = [
+  'message.created',
+  'workout.completed',
+  'payment.succeeded',
+  'payment.failed',
+  'payment.refunded',
+  'payment.disputed',
+  'subscription.updated',
+  'subscription.cancelled',
+  'billing.restricted',
+  'reconnected'
+];
+
+function displayName(person) {
+  if (!person) return 'System';
+  const profile = Array.isArray(person.profile) ? person.profile[0] : person.profile;
+  return [profile?.first_name, profile?.last_name].filter(Boolean).join(' ') || person.username;
+}
+
+// Stripe events that threw; shown only while there's something to replay
+function WebhookFailures({ onReplayed }) {
+  const [failures, setFailures] = useState([]);
+  const [replaying, setReplaying] = useState(null);
+
+  const load = () => AdminService.getWebhookFailures()
+    .then(setFailures)
+    .catch(err => console.error('Failed to load webhook failures:', err));
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const replay = async (eventId) => {
+    setReplaying(eventId);
+    try {
+      await AdminService.replayWebhookEvent(eventId);
+      onReplayed?.();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setReplaying(null);
+      load();
+    }
+  };
+
+  if (!failures.length) return null;
+
+  return (
+    <div className="bg-red-50 rounded-lg shadow p-6 mb-6">
+      <h2 className="text-xl font-bold mb-4">Failed Stripe Events</h2>
+      <div className="space-y-2">
+        {failures.map(failure => (
+          <div key={failure.event_id} className="flex justify-between items-center p-2">
+            <span>{failure.type}</span>
+            <span className="text-sm text-gray-600">{failure.error} ({failure.attempts} attempts)</span>
+            <button
+              onClick={() => replay(failure.event_id)}
+              disabled={replaying === failure.event_id}
+              className="bg-blue-600 text-white px-3 py-1 rounded"
+            >
+              {replaying === failure.event_id ? 'Replaying...' : 'Replay'}
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
 
 export function AdminDashboard() {
   const { data, loading, error, refetch } = useAdminDashboard();
+  const { data: overdue } = useApi(() => AdminService.getOpenInvoices('overdue'));
+  const { data: dunningQueue, refetch: refetchDunning } = useApi(() => AdminService.getDunningQueue());
   const [selectedPeriod, setSelectedPeriod] = useState('month');
   const [revenueData, setRevenueData] = useState([]);
 
+  // Keep metrics current while the dashboard is open
+  useRealtime(ADMIN_LIVE_EVENTS, () => {
+    refetch();
+    refetchDunning();
+  });
+
+  // Subscription changes and refunds ask for a fresh authenticator code
+  useEffect(() => {
+    api.setStepUpHandler(async () => window.prompt('Enter the 6-digit code from your authenticator app'));
+    return () => api.setStepUpHandler(null);
+  }, []);
+
   useEffect(() => {
     loadRevenueData();
   }, [selectedPeriod]);
@@ -480,17 +1250,56 @@ export function AdminDashboard() {
         </div>
       </div>
 
-      {/* Revenue chart would go here using revenueData */}
-      
-      {/* Recent activity */}
-      <div className="bg-white rounded-lg shadow p-6">
-        <h2 className="text-xl font-bold mb-4">Recent Activity</h2>
-        <div className="space-y-2">
-          {data?.recentActivity?.map((activity, index) => (
-            <div key={index} className="flex justify-between p-2 hover:bg-gray-50">
-              <span>{activity.user?.first_name} {activity.user?.last_name}</span>
-              <span>{activity.action}</span>
-              <span className="text-gray-500">{new Date(activity.created_at).toLocaleString()}</span>
+      <WebhookFailures onReplayed={refetch} />
+
+      {dunningQueue?.length > 0 && (
+        <div className="bg-orange-50 rounded-lg shadow p-6 mb-6">
+          <h2 className="text-xl font-bold mb-4">Past Due Clients</h2>
+          <div className="space-y-2">
+            {dunningQueue.map(account => (
+              <div key={account.id} className="flex justify-between p-2">
+                <span>{displayName(account)}</span>
+                <span>${Number(account.amount_due || account.subscription_amount || 0).toFixed(2)}</span>
+                <span className="text-gray-500">
+                  {account.days_past_due} days, {account.dunning_reminders_sent} reminders
+                </span>
+                <span className={account.restricted ? 'text-red-600' : 'text-gray-500'}>
+                  {account.restricted
+                    ? 'Features paused'
+                    : `Grace ends ${new Date(account.grace_ends_at).toLocaleDateString()}`}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {overdue?.invoices?.length > 0 && (
+        <div className="bg-yellow-50 rounded-lg shadow p-6 mb-6">
+          <h2 className="text-xl font-bold mb-4">Overdue Invoices</h2>
+          <div className="space-y-2">
+            {overdue.invoices.map(invoice => (
+              <div key={invoice.id} className="flex justify-between p-2">
+                <span>{displayName(invoice.client)}</span>
+                <span>${Number(invoice.amount_due).toFixed(2)}</span>
+                <span className="text-gray-500">{invoice.days_overdue} days overdue</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Revenue chart would go here using revenueData */}
+      
+      {/* Recent activity */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-xl font-bold mb-4">Recent Activity</h2>
+        <div className="space-y-2">
+          {data?.recentActivity?.map(activity => (
+            <div key={activity.id} className="flex justify-between p-2 hover:bg-gray-50">
+              <span>{displayName(activity.client || activity.actor)}</span>
+              <span>{activity.action.replace(/_/g, ' ')}</span>
+              <span className="text-gray-500">{new Date(activity.created_at).toLocaleString()}</span>
             </div>
           ))}
         </div>
@@ -506,14 +1315,35 @@ export function AdminDashboard() {
 
 import React, { useState } from 'react';
 import { useClientDashboard, useProgressChart } from '../hooks/useApi';
+import { useRealtime } from '../hooks/useRealtime';
 import { ClientService } from '../services/client.service';
+import { BillingBanner } from './BillingBanner';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
 
+const CLIENT_LIVE_EVENTS = [
+  'workout.assigned',
+  'notification.created',
+  'achievement.earned',
+  'goal.achieved',
+  'subscription.updated',
+  'payment.succeeded',
+  'payment.failed',
+  'payment.refunded',
+  'payment_method.updated',
+  'subscription.cancelled',
+  'billing.restricted',
+  'billing.restored',
+  'reconnected'
+];
+
 export function ClientDashboard() {
   const { data, loading, error, refetch } = useClientDashboard();
   const [chartPeriod, setChartPeriod] = useState('3months');
   const { data: chartData } = useProgressChart(chartPeriod);
 
+  // New workouts, reminders and billing changes show up without a reload
+  useRealtime(CLIENT_LIVE_EVENTS, () => refetch());
+
   const handleProgressSubmit = async (progressData) => {
     try {
       await ClientService.submitProgress(progressData);
@@ -543,10 +1373,20 @@ export function ClientDashboard() {
 
   return (
     <div className="p-6">
+      <BillingBanner />
+
       {/* Welcome header */}
       <div className="bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg p-6 text-white mb-6">
         <h1 className="text-3xl font-bold">Welcome back, {data?.profile?.first_name}!</h1>
-        <p>You're {data?.stats?.completion_rate || 0}% closer to your goal!</p>
+        {data?.goals?.[0] ? (
+          <p>
+            You're {Math.round(data.goals[0].percent_complete || 0)}% of the way to {data.goals[0].title}!
+            {data.goals[0].projected_completion_date &&
+              ` On track for ${new Date(data.goals[0].projected_completion_date).toLocaleDateString()}.`}
+          </p>
+        ) : (
+          <p>Set a goal to start tracking your progress.</p>
+        )}
       </div>
 
       {/* Stats grid */}
@@ -625,6 +1465,346 @@ export function ClientDashboard() {
   );
 }
 
+// =========================================
+// /src/components/ClientDetail.jsx
+// Admin view of one client: goals, adherence, payments, messages and AI usage
+// =========================================
+
+import React, { useState } from 'react';
+import { useClientDetails } from '../hooks/useApi';
+import { AdminService } from '../services/admin.service';
+
+const PLAN_OPTIONS = ['basic', 'premium', 'elite'];
+
+// Plan changes are previewed first so the trainer sees the proration
+function SubscriptionControls({ client, onChanged }) {
+  const [plan, setPlan] = useState(client.subscription_plan);
+  const [preview, setPreview] = useState(null);
+  const [credit, setCredit] = useState({ amount: '', reason: '' });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePreview = () => run(async () => {
+    setPreview(await AdminService.previewSubscriptionChange(client.id, plan));
+  });
+
+  const handleConfirm = () => run(async () => {
+    await AdminService.updateClientSubscription(client.id, plan, preview?.prorationDate);
+    setPreview(null);
+    onChanged();
+  });
+
+  const handleBilling = (action) => run(async () => {
+    await AdminService.setClientBilling(client.id, action);
+    onChanged();
+  });
+
+  const handleCredit = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await AdminService.issueCredit(client.id, Number(credit.amount), credit.reason);
+      setCredit({ amount: '', reason: '' });
+      onChanged();
+    });
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 space-y-3">
+      <h3 className="text-xl font-bold">Subscription</h3>
+      <div className="flex gap-2 items-center">
+        <select
+          value={plan}
+          onChange={(e) => { setPlan(e.target.value); setPreview(null); }}
+          className="border rounded px-3 py-2 capitalize"
+        >
+          {PLAN_OPTIONS.map(option => <option key={option} value={option}>{option}</option>)}
+        </select>
+        <button
+          onClick={preview ? handleConfirm : handlePreview}
+          disabled={busy || plan === client.subscription_plan}
+          className="bg-blue-600 text-white px-4 py-2 rounded disabled:opacity-50"
+        >
+          {preview ? 'Confirm change' : 'Preview change'}
+        </button>
+      </div>
+      {preview && (
+        <p className="text-sm text-gray-600">
+          Proration: {preview.prorationAmount >= 0 ? 'charge' : 'credit'} ${Math.abs(preview.prorationAmount).toFixed(2)};
+          next invoice ${preview.nextInvoiceAmount.toFixed(2)}
+          {preview.nextInvoiceAt && ` on ${new Date(preview.nextInvoiceAt).toLocaleDateString()}`}
+        </p>
+      )}
+      <div className="flex gap-2">
+        {client.subscription_status === 'comped' ? (
+          <button onClick={() => handleBilling('end_comp')} disabled={busy} className="px-3 py-1 border rounded">End comp</button>
+        ) : (
+          <button onClick={() => handleBilling('comp')} disabled={busy} className="px-3 py-1 border rounded">Comp</button>
+        )}
+        {client.subscription_status === 'paused' ? (
+          <button onClick={() => handleBilling('resume')} disabled={busy} className="px-3 py-1 border rounded">Resume billing</button>
+        ) : (
+          <button onClick={() => handleBilling('pause')} disabled={busy} className="px-3 py-1 border rounded">Pause billing</button>
+        )}
+      </div>
+      <form onSubmit={handleCredit} className="flex gap-2">
+        <input
+          type="number"
+          min="0.01"
+          step="0.01"
+          value={credit.amount}
+          onChange={(e) => setCredit({ ...credit, amount: e.target.value })}
+          placeholder="Credit $"
+          className="border rounded px-3 py-1 w-28"
+        />
+        <input
+          value={credit.reason}
+          onChange={(e) => setCredit({ ...credit, reason: e.target.value })}
+          placeholder="Reason"
+          className="border rounded px-3 py-1 flex-1"
+        />
+        <button
+          type="submit"
+          disabled={busy || !credit.amount || !credit.reason.trim()}
+          className="px-3 py-1 border rounded disabled:opacity-50"
+        >
+          Issue credit
+        </button>
+      </form>
+      {error && <p className="text-red-600 text-sm">{error}</p>}
+    </div>
+  );
+}
+
+export function ClientDetail({ clientId, onBack, onMessage }) {
+  const { data, loading, error, refetch } = useClientDetails(clientId);
+
+  if (loading) return <div>Loading client...</div>;
+  if (error) return <div>Error: {error}</div>;
+
+  const { client, goals, progress, adherence, payments, messages, upcomingSessions, aiUsage } = data;
+  const name = [client.profile?.first_name, client.profile?.last_name].filter(Boolean).join(' ') || client.username;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <button onClick={onBack} className="text-blue-600 text-sm mb-2">&larr; All clients</button>
+          <h2 className="text-3xl font-bold text-gray-800">{name}</h2>
+          <p className="text-gray-600">
+            {client.email} &middot; {client.subscription_plan} ({client.subscription_status})
+          </p>
+        </div>
+        <button onClick={() => onMessage?.(client.id)} className="bg-blue-600 text-white px-4 py-2 rounded-lg">
+          Message
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+          <div className="text-2xl font-bold">{adherence.completionRate}%</div>
+          <div className="text-sm text-gray-600">
+            Workouts done ({adherence.completed}/{adherence.scheduled}, last {adherence.windowDays} days)
+          </div>
+        </div>
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+          <div className="text-2xl font-bold">${payments.totalPaid.toFixed(2)}</div>
+          <div className="text-sm text-gray-600">
+            Lifetime paid{payments.failedCount > 0 && ` · ${payments.failedCount} failed`}
+          </div>
+        </div>
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+          <div className="text-2xl font-bold">{messages.unreadFromClient}</div>
+          <div className="text-sm text-gray-600">Unread messages ({messages.total} total)</div>
+        </div>
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+          <div className="text-2xl font-bold">{aiUsage.requests}</div>
+          <div className="text-sm text-gray-600">AI requests (${aiUsage.cost.toFixed(2)})</div>
+        </div>
+      </div>
+
+      <SubscriptionControls client={client} onChanged={refetch} />
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <h3 className="text-xl font-bold mb-4">Goals</h3>
+          {goals?.length ? goals.map(goal => (
+            <div key={goal.id} className="mb-3">
+              <div className="flex justify-between text-sm">
+                <span>{goal.title}</span>
+                <span>{Math.round(goal.percent_complete || 0)}%</span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div className="bg-blue-600 h-2 rounded-full" style={{ width: `${goal.percent_complete || 0}%` }} />
+              </div>
+            </div>
+          )) : <p className="text-gray-500">No goals set</p>}
+        </div>
+
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <h3 className="text-xl font-bold mb-4">Upcoming Sessions</h3>
+          {upcomingSessions?.length ? upcomingSessions.map(session => (
+            <div key={session.id} className="flex justify-between p-2 border-b">
+              <span>{session.title}</span>
+              <span className="text-gray-600">{new Date(session.start_time).toLocaleString()}</span>
+            </div>
+          )) : <p className="text-gray-500">Nothing scheduled</p>}
+        </div>
+
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <h3 className="text-xl font-bold mb-4">Recent Check-ins</h3>
+          {progress?.length ? progress.map(entry => (
+            <div key={entry.id} className="flex justify-between p-2 border-b">
+              <span>{entry.entry_date}</span>
+              <span className="text-gray-600">{entry.weight_kg ? `${entry.weight_kg} kg` : '-'}</span>
+            </div>
+          )) : <p className="text-gray-500">No check-ins yet</p>}
+        </div>
+
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <h3 className="text-xl font-bold mb-4">Payments</h3>
+          {payments.history.length ? payments.history.map(payment => (
+            <div key={payment.id} className="flex justify-between p-2 border-b">
+              <span>{new Date(payment.created_at).toLocaleDateString()}</span>
+              <span className={payment.status === 'failed' ? 'text-red-600' : 'text-gray-600'}>
+                ${Number(payment.amount).toFixed(2)} {payment.status}
+              </span>
+            </div>
+          )) : <p className="text-gray-500">No payments yet</p>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// =========================================
+// /src/components/InvoiceHistory.jsx
+// Client's invoices with receipt downloads
+// =========================================
+
+import React from 'react';
+import { useInvoices } from '../hooks/useApi';
+
+const INVOICE_STATUS_LABELS = {
+  open: 'Due',
+  paid: 'Paid',
+  void: 'Void',
+  uncollectible: 'Unpaid'
+};
+
+export function InvoiceHistory() {
+  const { data: invoices, loading, error } = useInvoices();
+
+  if (loading) return <div>Loading invoices...</div>;
+  if (error) return <div>Error: {error}</div>;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-xl font-bold mb-4">Invoices</h2>
+      {!invoices?.length && <p className="text-gray-600">No invoices yet.</p>}
+      <div className="space-y-2">
+        {invoices?.map(invoice => (
+          <div key={invoice.id} className="flex justify-between items-center p-3 border rounded">
+            <div>
+              <p className="font-semibold">{invoice.invoice_number || 'Invoice'}</p>
+              <p className="text-sm text-gray-600">{new Date(invoice.created_at).toLocaleDateString()}</p>
+            </div>
+            <span>${Number(invoice.status === 'paid' ? invoice.amount_paid : invoice.amount_due).toFixed(2)}</span>
+            <span className="text-sm">{INVOICE_STATUS_LABELS[invoice.status] || invoice.status}</span>
+            <div className="space-x-2">
+              {invoice.invoice_pdf_url && (
+                <a href={invoice.invoice_pdf_url} className="text-blue-600" target="_blank" rel="noreferrer">PDF</a>
+              )}
+              {invoice.status === 'open' && invoice.hosted_invoice_url && (
+                <a href={invoice.hosted_invoice_url} className="text-blue-600" target="_blank" rel="noreferrer">Pay now</a>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// =========================================
+// /src/components/BillingBanner.jsx
+// Past-due banner and the emailed update-payment link
+// =========================================
+
+import React, { useEffect, useState } from 'react';
+import { useSubscriptionStatus } from '../hooks/useApi';
+import { useRealtime } from '../hooks/useRealtime';
+import { StripeService } from '../services/stripe.service';
+
+const BILLING_LIVE_EVENTS = [
+  'payment.failed',
+  'payment.succeeded',
+  'subscription.updated',
+  'subscription.cancelled',
+  'billing.restricted',
+  'billing.restored'
+];
+
+export function BillingBanner() {
+  const { data: status, refetch } = useSubscriptionStatus();
+  const [opening, setOpening] = useState(false);
+
+  useRealtime(BILLING_LIVE_EVENTS, () => refetch());
+
+  if (!status?.dunning) return null;
+
+  const openPortal = async () => {
+    setOpening(true);
+    try {
+      await StripeService.getCustomerPortal();
+    } finally {
+      setOpening(false);
+    }
+  };
+
+  return (
+    <div className={`rounded-lg p-4 mb-6 flex justify-between items-center ${
+      status.dunning.restricted ? 'bg-red-100 text-red-900' : 'bg-yellow-100 text-yellow-900'
+    }`}>
+      <p>
+        {status.dunning.restricted
+          ? 'Your last payment failed, so premium features are paused.'
+          : `Your last payment failed. Update your card by ${new Date(status.dunning.grace_ends_at).toLocaleDateString()} to keep premium features.`}
+      </p>
+      <button
+        onClick={openPortal}
+        disabled={opening}
+        className="bg-blue-600 text-white px-4 py-2 rounded ml-4"
+      >
+        Update payment method
+      </button>
+    </div>
+  );
+}
+
+// Reminder emails link here; portal sessions expire, so one is made on arrival
+export function UpdatePaymentMethod() {
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    StripeService.getCustomerPortal().catch(err => setError(err.message));
+  }, []);
+
+  if (error) return <div className="p-6 text-red-600">{error}</div>;
+  return <div className="p-6">Opening billing portal...</div>;
+}
+
 // =========================================
 // /src/components/PaymentButton.jsx
 // Stripe payment button component
@@ -664,6 +1844,595 @@ export function PaymentButton({ priceId, planName, amount }) {
   );
 }
 
+// =========================================
+// /src/components/SessionBooking.jsx
+// Client session booking from the trainer's open slots
+// =========================================
+
+import React, { useState } from 'react';
+import { useApi } from '../hooks/useApi';
+import { CalendarService } from '../services/calendar.service';
+
+export function SessionBooking({ onBooked }) {
+  const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
+  const { data, loading, error, refetch } = useApi(() => CalendarService.getOpenSlots(date), [date]);
+  const [booking, setBooking] = useState(null);
+  const [bookingError, setBookingError] = useState(null);
+
+  const handleBook = async (slot) => {
+    setBooking(slot.start_time);
+    setBookingError(null);
+    try {
+      const session = await CalendarService.createEvent({ start_time: slot.start_time });
+      if (onBooked) onBooked(session);
+    } catch (err) {
+      // Someone else may have taken the slot; show the fresh list
+      setBookingError(err.message);
+    } finally {
+      setBooking(null);
+      await refetch();
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-xl font-bold mb-4">Book a Session</h2>
+
+      <input
+        type="date"
+        value={date}
+        onChange={(e) => setDate(e.target.value)}
+        className="w-full border rounded px-3 py-2 mb-4"
+      />
+
+      {loading && <div>Loading open slots...</div>}
+      {error && <div>Error: {error}</div>}
+      {bookingError && <p className="text-sm text-red-600 mb-2">{bookingError}</p>}
+
+      {!loading && data?.slots?.length === 0 && (
+        <p className="text-gray-600">No open slots on this day.</p>
+      )}
+
+      <div className="grid grid-cols-3 gap-2">
+        {data?.slots?.map(slot => (
+          <button
+            key={slot.start_time}
+            onClick={() => handleBook(slot)}
+            disabled={booking !== null}
+            className="border rounded py-2 hover:bg-blue-50 disabled:opacity-50"
+          >
+            {booking === slot.start_time
+              ? 'Booking...'
+              : new Date(slot.start_time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// =========================================
+// /src/components/Messages.jsx
+// Conversation list and chat thread
+// =========================================
+
+import React, { useState, useEffect } from 'react';
+import { useApi } from '../hooks/useApi';
+import { useRealtime } from '../hooks/useRealtime';
+import { MessageService } from '../services/message.service';
+
+export function Messages({ currentUserId, isAdmin, clients = [] }) {
+  const { data: conversations, refetch: refetchConversations } = useApi(() => MessageService.getConversations());
+  const [active, setActive] = useState(null);
+  const [thread, setThread] = useState({ messages: [], has_more: false });
+  const [draft, setDraft] = useState('');
+  const [attachment, setAttachment] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Clients only ever talk to the trainer, so open their one thread straight away
+  useEffect(() => {
+    if (!active && conversations?.length && (!isAdmin || conversations.length === 1)) {
+      setActive(conversations[0]);
+    }
+  }, [conversations]);
+
+  useEffect(() => {
+    if (!active?.conversation_id) return;
+    MessageService.getConversation(active.conversation_id)
+      .then(setThread)
+      .then(() => MessageService.markConversationRead(active.conversation_id))
+      .then(() => refetchConversations())
+      .catch(err => setError(err.message));
+  }, [active?.conversation_id]);
+
+  // Incoming messages, edits and read receipts
+  useRealtime(['message.created', 'message.updated', 'message.read', 'reconnected'], (event) => {
+    const message = event.payload;
+
+    if (event.type === 'message.created' && message.conversation_id === active?.conversation_id) {
+      setThread(prev => ({ ...prev, messages: [...prev.messages, message] }));
+      MessageService.markConversationRead(message.conversation_id);
+    } else if (event.type === 'message.updated') {
+      setThread(prev => ({ ...prev, messages: prev.messages.map(m => m.id === message.id ? message : m) }));
+    } else if (event.type === 'message.read' && message.conversation_id === active?.conversation_id) {
+      setThread(prev => ({
+        ...prev,
+        messages: prev.messages.map(m => message.message_ids.includes(m.id) ? { ...m, is_read: true, read_at: message.read_at } : m)
+      }));
+    } else if (event.type === 'reconnected' && active?.conversation_id) {
+      MessageService.getConversation(active.conversation_id).then(setThread);
+    }
+
+    refetchConversations();
+  });
+
+  const loadOlder = async () => {
+    const older = await MessageService.getConversation(active.conversation_id, thread.messages[0]?.created_at);
+    setThread({ messages: [...older.messages, ...thread.messages], has_more: older.has_more });
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setAttachment({ name: file.name, dataUri: reader.result });
+    reader.readAsDataURL(file);
+  };
+
+  const handleSend = async () => {
+    if (!draft.trim() && !attachment) return;
+    setError(null);
+    try {
+      if (editing) {
+        const updated = await MessageService.edit(editing, draft);
+        setThread({ ...thread, messages: thread.messages.map(m => m.id === updated.id ? updated : m) });
+      } else {
+        const sent = await MessageService.send({
+          recipientId: active?.participant?.id,
+          content: draft,
+          attachment: attachment?.dataUri
+        });
+        setThread({ ...thread, messages: [...thread.messages, sent] });
+        if (!active?.conversation_id) setActive({ conversation_id: sent.conversation_id, participant: sent.recipient });
+        refetchConversations();
+      }
+      setDraft('');
+      setAttachment(null);
+      setEditing(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const startConversation = (clientId) => {
+    const existing = conversations?.find(c => c.participant?.id === clientId);
+    if (existing) {
+      setActive(existing);
+    } else {
+      setActive({ conversation_id: null, participant: { id: clientId } });
+      setThread({ messages: [], has_more: false });
+    }
+  };
+
+  const displayName = (person) => person?.profile
+    ? `${person.profile.first_name || ''} ${person.profile.last_name || ''}`.trim()
+    : isAdmin ? 'Client' : 'Your trainer';
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg flex h-[600px]">
+      {isAdmin && (
+        <div className="w-1/3 border-r overflow-y-auto">
+          {clients.length > 0 && (
+            <select
+              onChange={(e) => e.target.value && startConversation(e.target.value)}
+              className="w-full border-b px-3 py-2"
+              defaultValue=""
+            >
+              <option value="">New message...</option>
+              {clients.map(client => (
+                <option key={client.id} value={client.id}>{client.name}</option>
+              ))}
+            </select>
+          )}
+          {conversations?.map(c => (
+            <button
+              key={c.conversation_id}
+              onClick={() => setActive(c)}
+              className={`w-full text-left p-4 border-b ${active?.conversation_id === c.conversation_id ? 'bg-blue-50' : ''}`}
+            >
+              <div className="flex justify-between">
+                <span className="font-semibold">{displayName(c.participant)}</span>
+                {c.unread_count > 0 && (
+                  <span className="bg-blue-600 text-white text-xs rounded-full px-2">{c.unread_count}</span>
+                )}
+              </div>
+              <p className="text-sm text-gray-600 truncate">{c.last_message.content || 'Attachment'}</p>
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="flex-1 flex flex-col">
+        <div className="flex-1 overflow-y-auto p-4 space-y-3">
+          {thread.has_more && (
+            <button onClick={loadOlder} className="text-sm text-blue-600">Load older messages</button>
+          )}
+          {thread.messages.map(message => {
+            const mine = message.sender_id === currentUserId;
+            return (
+              <div key={message.id} className={`flex ${mine ? 'justify-end' : 'justify-start'}`}>
+                <div className={`max-w-md rounded-lg px-4 py-2 ${mine ? 'bg-blue-600 text-white' : 'bg-gray-100'}`}>
+                  {message.content && <p>{message.content}</p>}
+                  {message.attachment_url && (
+                    message.message_type === 'image'
+                      ? <img src={message.attachment_url} alt="" className="rounded mt-1 max-h-60" />
+                      : <a href={message.attachment_url} target="_blank" rel="noreferrer" className="underline">Attachment</a>
+                  )}
+                  <p className="text-xs opacity-75 mt-1">
+                    {new Date(message.created_at).toLocaleString()}
+                    {message.is_edited && ' · edited'}
+                    {mine && message.is_read && ' · read'}
+                    {mine && message.message_type === 'text' && (
+                      <button
+                        onClick={() => { setEditing(message.id); setDraft(message.content); }}
+                        className="ml-2 underline"
+                      >
+                        Edit
+                      </button>
+                    )}
+                  </p>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {error && <p className="text-sm text-red-600 px-4">{error}</p>}
+
+        <div className="border-t p-4 flex gap-2 items-center">
+          {!editing && (
+            <label className="cursor-pointer text-sm text-gray-600">
+              {attachment ? attachment.name : 'Attach'}
+              <input type="file" onChange={handleFile} className="hidden" />
+            </label>
+          )}
+          <input
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSend()}
+            placeholder={editing ? 'Edit message...' : 'Type a message...'}
+            disabled={isAdmin && !active}
+            className="flex-1 border rounded px-3 py-2"
+          />
+          {editing && (
+            <button onClick={() => { setEditing(null); setDraft(''); }} className="text-sm text-gray-600">
+              Cancel
+            </button>
+          )}
+          <button
+            onClick={handleSend}
+            disabled={isAdmin && !active}
+            className="bg-blue-600 text-white rounded px-4 py-2 disabled:opacity-50"
+          >
+            {editing ? 'Save' : 'Send'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// =========================================
+// /src/components/WorkoutLogger.jsx
+// Set-by-set logging for a scheduled workout
+// =========================================
+
+import React, { useState } from 'react';
+import { ClientService } from '../services/client.service';
+
+export function WorkoutLogger({ workout, onCompleted }) {
+  // One { reps, weight } entry per planned set
+  const [sets, setSets] = useState(() =>
+    Object.fromEntries(workout.exercises.map(ex => [
+      ex.id,
+      Array.from({ length: ex.sets || 1 }, () => ({
+        reps: '',
+        weight: ex.target_weight_kg ?? ''
+      }))
+    ]))
+  );
+  const [difficulty, setDifficulty] = useState(3);
+  const [duration, setDuration] = useState(workout.duration_minutes || '');
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const updateSet = (exerciseId, index, field, value) => {
+    setSets(prev => ({
+      ...prev,
+      [exerciseId]: prev[exerciseId].map((set, i) => i === index ? { ...set, [field]: value } : set)
+    }));
+  };
+
+  const handleSubmit = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      // Sets left without reps were skipped
+      const exercises = workout.exercises
+        .map(ex => {
+          const done = sets[ex.id].filter(set => set.reps !== '');
+          return {
+            id: ex.id,
+            actual_reps: done.map(set => Number(set.reps)),
+            actual_weight_kg: done.every(set => set.weight !== '')
+              ? done.map(set => Number(set.weight))
+              : null
+          };
+        })
+        .filter(ex => ex.actual_reps.length > 0);
+
+      const result = await ClientService.completeWorkout(workout.id, {
+        exercises,
+        difficulty_rating: Number(difficulty),
+        actual_duration_minutes: duration ? Number(duration) : undefined,
+        client_notes: notes || undefined
+      });
+      if (onCompleted) onCompleted(result);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-xl font-bold mb-4">{workout.name}</h2>
+
+      {workout.exercises.map(ex => (
+        <div key={ex.id} className="mb-4">
+          <p className="font-semibold">{ex.exercise?.name}</p>
+          <p className="text-sm text-gray-600 mb-2">
+            {ex.sets} x {ex.target_reps}{ex.target_weight_kg ? ` @ ${ex.target_weight_kg} kg` : ''}
+          </p>
+          {sets[ex.id].map((set, i) => (
+            <div key={i} className="flex gap-2 mb-1 items-center">
+              <span className="text-sm w-12">Set {i + 1}</span>
+              <input
+                type="number"
+                min="0"
+                placeholder="Reps"
+                value={set.reps}
+                onChange={(e) => updateSet(ex.id, i, 'reps', e.target.value)}
+                className="border rounded px-2 py-1 w-20"
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                placeholder="kg"
+                value={set.weight}
+                onChange={(e) => updateSet(ex.id, i, 'weight', e.target.value)}
+                className="border rounded px-2 py-1 w-20"
+              />
+            </div>
+          ))}
+        </div>
+      ))}
+
+      <div className="grid grid-cols-2 gap-4 mb-4">
+        <label className="text-sm">
+          Difficulty (1-5)
+          <input
+            type="number"
+            min="1"
+            max="5"
+            value={difficulty}
+            onChange={(e) => setDifficulty(e.target.value)}
+            className="w-full border rounded px-3 py-2"
+          />
+        </label>
+        <label className="text-sm">
+          Duration (minutes)
+          <input
+            type="number"
+            min="1"
+            value={duration}
+            onChange={(e) => setDuration(e.target.value)}
+            className="w-full border rounded px-3 py-2"
+          />
+        </label>
+      </div>
+
+      <textarea
+        placeholder="How did it go?"
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        className="w-full border rounded px-3 py-2 mb-4"
+      />
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      <button
+        onClick={handleSubmit}
+        disabled={saving}
+        className="w-full bg-blue-600 text-white rounded py-2 disabled:opacity-50"
+      >
+        {saving ? 'Saving...' : 'Complete Workout'}
+      </button>
+    </div>
+  );
+}
+
+// =========================================
+// /src/components/TwoFactorSetup.jsx
+// Authenticator app enrollment with QR code and recovery codes
+// =========================================
+
+import React, { useState } from 'react';
+import { AuthService } from '../services/auth.service';
+
+export function TwoFactorSetup({ onEnabled }) {
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [error, setError] = useState(null);
+
+  const start = async () => {
+    setError(null);
+    try {
+      setEnrollment(await AuthService.setupTwoFactor());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const confirm = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      const result = await AuthService.enableTwoFactor(code);
+      setRecoveryCodes(result.recovery_codes);
+      onEnabled?.();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Shown once: the server only keeps hashes
+  if (recoveryCodes) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-xl font-bold mb-2">Save your recovery codes</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Each code works once if you lose your phone. They won't be shown again.
+        </p>
+        <ul className="grid grid-cols-2 gap-2 font-mono">
+          {recoveryCodes.map(recoveryCode => <li key={recoveryCode}>{recoveryCode}</li>)}
+        </ul>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-xl font-bold mb-4">Two-factor authentication</h2>
+      {!enrollment ? (
+        <button onClick={start} className="bg-blue-600 text-white px-4 py-2 rounded">
+          Set up authenticator app
+        </button>
+      ) : (
+        <form onSubmit={confirm} className="space-y-4">
+          <img src={enrollment.qr_code} alt="Scan with your authenticator app" className="w-48 h-48" />
+          <p className="text-sm text-gray-600">
+            Can't scan? Enter this key: <span className="font-mono">{enrollment.secret}</span>
+          </p>
+          <input
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            inputMode="numeric"
+            placeholder="6-digit code"
+            className="border rounded px-3 py-2"
+          />
+          <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded ml-2">
+            Verify and enable
+          </button>
+        </form>
+      )}
+      {error && <p className="text-red-600 text-sm mt-2">{error}</p>}
+    </div>
+  );
+}
+
+// =========================================
+// /src/components/AccountLinks.jsx
+// Pages opened from emailed links: set password and verify email
+// =========================================
+
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { AuthService } from '../services/auth.service';
+
+// mode is 'reset' for forgot-password links, 'invitation' for new clients
+export function SetPassword({ mode = 'reset' }) {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password !== confirm) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      await AuthService.setPassword(searchParams.get('token'), password, mode);
+      navigate('/dashboard');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="max-w-sm mx-auto mt-16 bg-white rounded-lg shadow p-6 space-y-4">
+      <h1 className="text-2xl font-bold">
+        {mode === 'invitation' ? 'Welcome! Choose a password' : 'Choose a new password'}
+      </h1>
+      <input
+        type="password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        placeholder="New password (8+ characters)"
+        className="w-full border rounded px-3 py-2"
+      />
+      <input
+        type="password"
+        value={confirm}
+        onChange={(e) => setConfirm(e.target.value)}
+        placeholder="Confirm password"
+        className="w-full border rounded px-3 py-2"
+      />
+      {error && <p className="text-red-600 text-sm">{error}</p>}
+      <button
+        type="submit"
+        disabled={saving || password.length < 8}
+        className="w-full bg-blue-600 text-white px-4 py-2 rounded disabled:opacity-50"
+      >
+        {saving ? 'Saving...' : 'Set password'}
+      </button>
+    </form>
+  );
+}
+
+export function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState('verifying');
+
+  useEffect(() => {
+    AuthService.verifyEmail(searchParams.get('token'))
+      .then(() => setStatus('verified'))
+      .catch(() => setStatus('failed'));
+  }, [searchParams]);
+
+  return (
+    <div className="max-w-sm mx-auto mt-16 bg-white rounded-lg shadow p-6">
+      {status === 'verifying' && <p>Confirming your email...</p>}
+      {status === 'verified' && <p>Your email is confirmed. <a href="/dashboard" className="text-blue-600">Continue</a></p>}
+      {status === 'failed' && <p>This link is invalid or has expired. Log in to request a new one.</p>}
+    </div>
+  );
+}
+
 // =========================================
 // /src/App.jsx
 // Main App component with routing
@@ -675,6 +2444,10 @@ import { AuthService } from './services/auth.service';
 import { AdminDashboard } from './components/AdminDashboard';
 import { ClientDashboard } from './components/ClientDashboard';
 import { Login } from './components/Login';
+import { SetPassword, VerifyEmail } from './components/AccountLinks';
+import { TwoFactorSetup } from './components/TwoFactorSetup';
+import { InvoiceHistory } from './components/InvoiceHistory';
+import { UpdatePaymentMethod } from './components/BillingBanner';
 
 function App() {
   const [user, setUser] = useState(null);
@@ -694,6 +2467,12 @@ function App() {
     <Router>
       <Routes>
         <Route path="/login" element={<Login />} />
+        <Route path="/reset-password" element={<SetPassword mode="reset" />} />
+        <Route path="/accept-invitation" element={<SetPassword mode="invitation" />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
+        <Route path="/settings/security" element={user ? <TwoFactorSetup /> : <Navigate to="/login" />} />
+        <Route path="/billing/invoices" element={user ? <InvoiceHistory /> : <Navigate to="/login" />} />
+        <Route path="/billing/update-payment" element={user ? <UpdatePaymentMethod /> : <Navigate to="/login" />} />
         
         {/* Protected routes */}
         <Route
@@ -0,0 +1,266 @@
+// =========================================
+// /netlify/functions/session-reminders.js
+// Scheduled reminders for upcoming calendar_events
+// =========================================
+const { schedule } = require('@netlify/functions');
+const { createClient } = require('@supabase/supabase-js');
+const { sendMail } = require('./utils/mailer');
+const { publishEvent } = require('./utils/realtime');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const DEFAULT_LEAD_MINUTES = [60, 1440];
+
+// Minutes before start_time, e.g. "1440,60" for 24 hours and 1 hour. A blank or
+// unusable setting falls back to the defaults rather than breaking every run.
+const LEAD_MINUTES = parseLeadMinutes(process.env.REMINDER_LEAD_MINUTES);
+
+// Postgres unique_violation: another run already claimed this reminder
+const ALREADY_CLAIMED_CODE = '23505';
+
+async function sendDueReminders(now = new Date()) {
+  const maxLead = LEAD_MINUTES[LEAD_MINUTES.length - 1];
+  const results = { sent: 0, skipped: 0, failed: 0 };
+
+  const { data: events, error } = await supabase
+    .from('calendar_events')
+    .select(`
+      *,
+      client:users(email, timezone, profile:user_profiles(first_name, notification_settings))
+    `)
+    .eq('status', 'scheduled')
+    .gt('start_time', now.toISOString())
+    .lte('start_time', new Date(now.getTime() + maxLead * 60000).toISOString());
+
+  if (error) throw error;
+
+  for (const calendarEvent of events || []) {
+    const minutesUntil = (new Date(calendarEvent.start_time) - now) / 60000;
+
+    // Only the tightest lead time applies, so a session booked 30 minutes
+    // out gets the 1 hour reminder and never a late 24 hour one
+    const leadMinutes = LEAD_MINUTES.find(lead => minutesUntil <= lead);
+
+    // Claim before sending; the unique key makes retries and overlapping
+    // runs skip reminders that are already out
+    const { data: claim, error: claimError } = await supabase
+      .from('event_reminders')
+      .insert({
+        event_id: calendarEvent.id,
+        lead_minutes: leadMinutes,
+        start_time: calendarEvent.start_time
+      })
+      .select()
+      .single();
+
+    if (claimError?.code === ALREADY_CLAIMED_CODE) {
+      results.skipped++;
+      continue;
+    }
+    if (claimError) throw claimError;
+
+    const { channels, failedChannels, error: deliveryError } = await deliverReminder(calendarEvent, leadMinutes);
+
+    if (deliveryError) {
+      console.error(`Reminder for event ${calendarEvent.id} failed:`, deliveryError);
+    }
+
+    // Nothing went out: release the claim so the next run can try again
+    if (!channels.length && deliveryError) {
+      await supabase
+        .from('event_reminders')
+        .delete()
+        .eq('id', claim.id);
+
+      results.failed++;
+      continue;
+    }
+
+    // Something reached the client, so the claim stays; a channel that failed
+    // is recorded rather than retried, which would repeat the ones that worked
+    await supabase
+      .from('event_reminders')
+      .update({
+        channels,
+        failed_channels: failedChannels.length ? failedChannels : null,
+        error: deliveryError?.message || null,
+        sent_at: new Date().toISOString()
+      })
+      .eq('id', claim.id);
+
+    await supabase
+      .from('calendar_events')
+      .update({ reminder_sent: true, reminder_sent_at: new Date().toISOString() })
+      .eq('id', calendarEvent.id);
+
+    if (failedChannels.length) {
+      results.failed++;
+    } else {
+      results.sent++;
+    }
+  }
+
+  return results;
+}
+
+async function deliverReminder(calendarEvent, leadMinutes) {
+  const client = calendarEvent.client || {};
+  const settings = client.profile?.notification_settings || { email: true, push: true };
+  const when = formatSessionTime(calendarEvent.start_time, client.timezone || 'UTC');
+  const where = calendarEvent.is_virtual
+    ? `Join online: ${calendarEvent.meeting_link}`
+    : calendarEvent.location || null;
+
+  const title = `Reminder: ${calendarEvent.title} ${describeLead(leadMinutes)}`;
+  const text = [
+    `Hi ${client.profile?.first_name || 'there'},`,
+    '',
+    `This is a reminder that your ${calendarEvent.title} starts ${when}.`,
+    where,
+    '',
+    'Need to change it? Reschedule or cancel from your dashboard.'
+  ].filter(line => line !== null).join('\n');
+
+  const channels = [];
+  const failedChannels = [];
+  let error = null;
+
+  // Each channel is tried on its own so one failing doesn't hide what was delivered
+  if (settings.push !== false) {
+    try {
+      const { data: notification, error: insertError } = await supabase
+        .from('notifications')
+        .insert({
+          user_id: calendarEvent.client_id,
+          type: 'session_reminder',
+          title,
+          body: `Starts ${when}`,
+          data: { event_id: calendarEvent.id, lead_minutes: leadMinutes }
+        })
+        .select()
+        .single();
+
+      if (insertError) throw insertError;
+      await publishEvent(calendarEvent.client_id, 'notification.created', notification);
+      channels.push('in_app');
+    } catch (err) {
+      failedChannels.push('in_app');
+      error = err;
+    }
+  }
+
+  if (settings.email !== false && client.email) {
+    try {
+      await sendMail({ to: client.email, subject: title, text });
+      channels.push('email');
+    } catch (err) {
+      failedChannels.push('email');
+      error = err;
+    }
+  }
+
+  return { channels, failedChannels, error };
+}
+
+function parseLeadMinutes(setting) {
+  const minutes = (setting || '')
+    .split(',')
+    .map(Number)
+    .filter(value => Number.isFinite(value) && value > 0)
+    .sort((a, b) => a - b);
+
+  if (setting && !minutes.length) {
+    console.error(`Ignoring REMINDER_LEAD_MINUTES="${setting}"; using ${DEFAULT_LEAD_MINUTES.join(',')}`);
+  }
+  return minutes.length ? [...new Set(minutes)] : DEFAULT_LEAD_MINUTES;
+}
+
+function describeLead(leadMinutes) {
+  if (leadMinutes % 1440 === 0) {
+    const days = leadMinutes / 1440;
+    return days === 1 ? 'tomorrow' : `in ${days} days`;
+  }
+  if (leadMinutes % 60 === 0) {
+    const hours = leadMinutes / 60;
+    return hours === 1 ? 'in 1 hour' : `in ${hours} hours`;
+  }
+  return `in ${leadMinutes} minutes`;
+}
+
+function formatSessionTime(startTime, timeZone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  }).format(new Date(startTime));
+}
+
+// Every 15 minutes; each run picks up whatever has come due since the last
+exports.handler = schedule('*/15 * * * *', async () => {
+  try {
+    const results = await sendDueReminders();
+    console.log('Session reminders:', results);
+    return { statusCode: 200 };
+  } catch (error) {
+    console.error('Session reminders error:', error);
+    return { statusCode: 500 };
+  }
+});
+
+// Exposed for local runs against the console/file mail transport
+exports.sendDueReminders = sendDueReminders;
+
+// =========================================
+// /netlify/functions/utils/mailer.js
+// Pluggable email delivery
+// =========================================
+const fs = require('fs');
+const path = require('path');
+
+// MAIL_TRANSPORT=sendgrid in production; console or file for local runs
+const transports = {
+  sendgrid: async (message) => {
+    const sgMail = require('@sendgrid/mail');
+    sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+    await sgMail.send(message);
+  },
+
+  console: async (message) => {
+    console.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+  },
+
+  // One JSON file per message, for tests to read back
+  file: async (message) => {
+    const outbox = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), '.mail-outbox');
+    fs.mkdirSync(outbox, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    fs.writeFileSync(path.join(outbox, fileName), JSON.stringify(message, null, 2));
+  }
+};
+
+async function sendMail({ to, subject, text, html }) {
+  const transportName = process.env.MAIL_TRANSPORT ||
+    (process.env.SENDGRID_API_KEY ? 'sendgrid' : 'console');
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${transportName}`);
+  }
+
+  await transport({
+    to,
+    from: process.env.MAIL_FROM || 'no-reply@fitness-platform.local',
+    subject,
+    text,
+    html
+  });
+}
+
+module.exports = { sendMail };
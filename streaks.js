@@ -0,0 +1,309 @@
+// =========================================
+// /netlify/functions/streaks.js
+// Client streaks and trainer-granted streak freezes
+// =========================================
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken, requireAdmin } = require('./utils/auth');
+const { recalculateStreak, getStreaks, STREAK_TYPES } = require('./utils/streaks');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  const user = verifyToken(event.headers.authorization);
+  if (!user) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+
+  const path = event.path
+    .replace('/.netlify/functions/streaks', '')
+    .replace(/^\//, '');
+  const method = event.httpMethod;
+  const isAdmin = requireAdmin(user);
+
+  try {
+    // Current streaks, including days missed since the last activity
+    if (path === '' && method === 'GET') {
+      const { client_id } = event.queryStringParameters || {};
+      const clientId = isAdmin && client_id ? client_id : user.userId;
+      const streaks = await getStreaks(clientId);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(streaks)
+      };
+    }
+
+    // Give a client extra freeze tokens (admin only)
+    if (path === 'freezes' && method === 'POST') {
+      if (!isAdmin) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Admin access required' })
+        };
+      }
+
+      const { client_id, streak_type = 'workout', count = 1 } = JSON.parse(event.body || '{}');
+
+      if (!client_id || !STREAK_TYPES.includes(streak_type) || !(Number.isInteger(count) && count > 0)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            error: `client_id, a streak_type of ${STREAK_TYPES.join(', ')} and a positive count are required`
+          })
+        };
+      }
+
+      const { data: existing } = await supabase
+        .from('streaks')
+        .select('freezes_granted')
+        .eq('client_id', client_id)
+        .eq('streak_type', streak_type)
+        .maybeSingle();
+
+      const { error } = await supabase
+        .from('streaks')
+        .upsert({
+          client_id,
+          streak_type,
+          freezes_granted: (existing?.freezes_granted || 0) + count
+        }, { onConflict: 'client_id,streak_type' });
+
+      if (error) throw error;
+
+      const streak = await recalculateStreak(client_id, streak_type);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(streak)
+      };
+    }
+
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Not found' })
+    };
+
+  } catch (error) {
+    console.error('Streaks error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
+
+// =========================================
+// /netlify/functions/utils/streaks.js
+// Streaks recalculated from activity history
+// =========================================
+const { createClient: createStreakClient } = require('@supabase/supabase-js');
+const { getZonedParts: getStreakZonedParts, addDays: addStreakDays } = require('./scheduling');
+
+const supabaseStreaks = createStreakClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Workouts and food logging count per day; check-ins per Monday-Sunday week
+const STREAK_TYPES = ['workout', 'nutrition_logging', 'check_in'];
+const WEEKLY_TYPES = ['check_in'];
+
+// A freeze is earned every FREEZE_EARN_EVERY active periods, up to MAX_HELD_FREEZES at once
+const FREEZE_EARN_EVERY = 7;
+const MAX_HELD_FREEZES = 2;
+
+// Local dates (YYYY-MM-DD) the client was active for a streak type
+async function getActivityDates(clientId, streakType, timeZone) {
+  if (streakType === 'workout') {
+    const { data, error } = await supabaseStreaks
+      .from('workouts')
+      .select('completed_at')
+      .eq('client_id', clientId)
+      .not('completed_at', 'is', null);
+
+    if (error) throw error;
+    return data.map(w => getStreakZonedParts(new Date(w.completed_at), timeZone).date);
+  }
+
+  const source = streakType === 'nutrition_logging'
+    ? { table: 'nutrition_logs', column: 'log_date' }
+    : { table: 'progress_entries', column: 'entry_date' };
+
+  const { data, error } = await supabaseStreaks
+    .from(source.table)
+    .select(source.column)
+    .eq('client_id', clientId);
+
+  if (error) throw error;
+  return data.map(row => row[source.column]);
+}
+
+// Weekdays (0 = Sunday) the client's current program schedules as rest
+async function getRestDays(clientId) {
+  const { data: latest } = await supabaseStreaks
+    .from('workouts')
+    .select('program:workout_programs(rest_days)')
+    .eq('client_id', clientId)
+    .not('program_id', 'is', null)
+    .order('scheduled_date', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  return latest?.program?.rest_days || [];
+}
+
+function weekStart(date) {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return addStreakDays(date, -((day + 6) % 7));
+}
+
+// Walk every period from the first activity to today. Active periods extend the
+// streak, rest days are skipped, and a missed period spends a freeze if one is
+// held - otherwise the streak resets, and the freezes that run spent come back,
+// since they didn't keep it alive. Only the run reaching today keeps its frozen
+// dates. Because it replays history, back-dated activity is accounted for too.
+function computeStreak(activityDates, { today, weekly, restDays, freezesGranted }) {
+  const toPeriod = weekly ? weekStart : (date) => date;
+  const step = weekly ? 7 : 1;
+  const active = new Set(activityDates.map(toPeriod));
+  const currentPeriod = toPeriod(today);
+
+  const result = {
+    current_streak: 0,
+    longest_streak: 0,
+    last_activity_date: activityDates.length ? activityDates.reduce((a, b) => (a > b ? a : b)) : null,
+    frozen_dates: []
+  };
+
+  let earned = 0;
+  let runFrozen = [];
+  const held = () => freezesGranted + earned - runFrozen.length;
+
+  const periods = [...active].sort();
+  if (!periods.length) {
+    return { ...result, freeze_tokens: held() };
+  }
+
+  for (let period = periods[0]; period <= currentPeriod; period = addStreakDays(period, step)) {
+    if (active.has(period)) {
+      result.current_streak++;
+      result.longest_streak = Math.max(result.longest_streak, result.current_streak);
+      if (result.current_streak % FREEZE_EARN_EVERY === 0 && held() < MAX_HELD_FREEZES) {
+        earned++;
+      }
+    } else if (period === currentPeriod) {
+      // Today (or this week) isn't over yet
+    } else if (!weekly && restDays.includes(new Date(`${period}T00:00:00Z`).getUTCDay())) {
+      // Scheduled rest day: neither extends nor breaks the streak
+    } else if (result.current_streak > 0 && held() > 0) {
+      runFrozen.push(period);
+    } else {
+      result.current_streak = 0;
+      runFrozen = [];
+      // Refunds don't take the balance past the cap; earned tokens give way first
+      earned -= Math.min(earned, Math.max(0, held() - MAX_HELD_FREEZES));
+    }
+  }
+
+  return { ...result, frozen_dates: runFrozen, freeze_tokens: held() };
+}
+
+async function recalculateStreak(clientId, streakType) {
+  const [{ data: client }, { data: existing }] = await Promise.all([
+    supabaseStreaks.from('users').select('timezone').eq('id', clientId).maybeSingle(),
+    supabaseStreaks.from('streaks').select('freezes_granted')
+      .eq('client_id', clientId).eq('streak_type', streakType).maybeSingle()
+  ]);
+
+  const timeZone = client?.timezone || 'UTC';
+  const activityDates = await getActivityDates(clientId, streakType, timeZone);
+  const computed = computeStreak(activityDates, {
+    today: getStreakZonedParts(new Date(), timeZone).date,
+    weekly: WEEKLY_TYPES.includes(streakType),
+    restDays: streakType === 'workout' ? await getRestDays(clientId) : [],
+    freezesGranted: existing?.freezes_granted || 0
+  });
+
+  const { data: streak, error } = await supabaseStreaks
+    .from('streaks')
+    .upsert({
+      client_id: clientId,
+      streak_type: streakType,
+      ...computed,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'client_id,streak_type' })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return streak;
+}
+
+// Stored streaks as they stand today, without writing. Rows are recalculated when
+// activity is logged, so the only thing that can have changed since is periods
+// missed after last_activity_date: each spends a freeze, and once they run out
+// the streak shows as broken.
+async function getStreaks(clientId) {
+  const [{ data: client }, { data: rows, error }] = await Promise.all([
+    supabaseStreaks.from('users').select('timezone').eq('id', clientId).maybeSingle(),
+    supabaseStreaks.from('streaks').select('*').eq('client_id', clientId)
+  ]);
+
+  if (error) throw error;
+
+  const today = getStreakZonedParts(new Date(), client?.timezone || 'UTC').date;
+  const restDays = await getRestDays(clientId);
+
+  return STREAK_TYPES.map(streakType => {
+    const stored = rows.find(row => row.streak_type === streakType);
+    if (!stored) {
+      return { client_id: clientId, streak_type: streakType, current_streak: 0, longest_streak: 0, freeze_tokens: 0 };
+    }
+    if (!stored.current_streak || !stored.last_activity_date) return stored;
+
+    const weekly = WEEKLY_TYPES.includes(streakType);
+    const toPeriod = weekly ? weekStart : (date) => date;
+    const step = weekly ? 7 : 1;
+    let missed = 0;
+
+    for (
+      let period = addStreakDays(toPeriod(stored.last_activity_date), step);
+      period < toPeriod(today);
+      period = addStreakDays(period, step)
+    ) {
+      const isRestDay = !weekly && streakType === 'workout'
+        && restDays.includes(new Date(`${period}T00:00:00Z`).getUTCDay());
+      if (!isRestDay) missed++;
+    }
+
+    if (missed > (stored.freeze_tokens || 0)) {
+      return { ...stored, current_streak: 0, frozen_dates: [] };
+    }
+    return { ...stored, freeze_tokens: (stored.freeze_tokens || 0) - missed };
+  });
+}
+
+module.exports = { recalculateStreak, getStreaks, computeStreak, getActivityDates, STREAK_TYPES };
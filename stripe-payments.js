@@ -9,7 +9,12 @@
 // =========================================
 const Stripe = require('stripe');
 const { createClient } = require('@supabase/supabase-js');
-const { verifyToken } = require('./utils/auth');
+const { verifyToken, requireAdmin } = require('./utils/auth');
+const { publishEvent, publishToAdmins } = require('./utils/realtime');
+const { logActivity } = require('./utils/activity');
+const { planForPrice, syncSubscription } = require('./utils/billing');
+const { sendMail } = require('./utils/mailer');
+const { startDunning, endDunning, dunningState, DUNNING_STATUSES } = require('./utils/dunning');
 
 const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
 const supabase = createClient(
@@ -17,6 +22,12 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_KEY
 );
 
+const INVOICE_FIELDS = 'id, invoice_number, amount_due, amount_paid, currency, status, due_date, paid_at, invoice_pdf_url, hosted_invoice_url, created_at';
+const MAX_INVOICE_PAGE = 100;
+
+// A claim this old without processed_at belongs to a run that died (timeout, crash)
+const EVENT_CLAIM_STALE_MS = 5 * 60000;
+
 exports.handler = async (event, context) => {
   const headers = {
     'Access-Control-Allow-Origin': '*',
@@ -45,6 +56,15 @@ exports.handler = async (event, context) => {
 
       const { priceId, successUrl, cancelUrl } = JSON.parse(event.body);
 
+      // Only prices that map to a plan, so the webhook can record what was bought
+      if (!priceId || !await planForPrice(priceId)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'priceId is not a price for any plan' })
+        };
+      }
+
       // Get or create Stripe customer
       let customerId;
       const { data: userData } = await supabase
@@ -123,87 +143,27 @@ exports.handler = async (event, context) => {
         };
       }
 
-      // Handle different event types
-      switch (stripeEvent.type) {
-        case 'checkout.session.completed':
-          const session = stripeEvent.data.object;
-          
-          // Update user subscription status
-          await supabase
-            .from('users')
-            .update({
-              stripe_subscription_id: session.subscription,
-              subscription_status: 'active',
-              subscription_plan: 'premium' // Map based on price
-            })
-            .eq('stripe_customer_id', session.customer);
-          
-          break;
-
-        case 'invoice.payment_succeeded':
-          const invoice = stripeEvent.data.object;
-          
-          // Record payment
-          await supabase
-            .from('payments')
-            .insert({
-              client_id: invoice.metadata.user_id,
-              stripe_invoice_id: invoice.id,
-              stripe_charge_id: invoice.charge,
-              amount: invoice.amount_paid / 100,
-              status: 'succeeded',
-              invoice_url: invoice.hosted_invoice_url,
-              paid_at: new Date(invoice.status_transitions.paid_at * 1000)
-            });
-          
-          // Update user subscription
-          await supabase
-            .from('users')
-            .update({
-              subscription_status: 'active',
-              subscription_ends_at: new Date(invoice.lines.data[0].period.end * 1000)
-            })
-            .eq('stripe_customer_id', invoice.customer);
-          
-          break;
-
-        case 'invoice.payment_failed':
-          const failedInvoice = stripeEvent.data.object;
-          
-          // Record failed payment
-          await supabase
-            .from('payments')
-            .insert({
-              client_id: failedInvoice.metadata.user_id,
-              stripe_invoice_id: failedInvoice.id,
-              amount: failedInvoice.amount_due / 100,
-              status: 'failed',
-              failure_reason: failedInvoice.last_payment_error?.message
-            });
-          
-          // Update subscription status
-          await supabase
-            .from('users')
-            .update({ subscription_status: 'past_due' })
-            .eq('stripe_customer_id', failedInvoice.customer);
-          
-          break;
-
-        case 'customer.subscription.deleted':
-          const subscription = stripeEvent.data.object;
-          
-          // Handle subscription cancellation
-          await supabase
-            .from('users')
-            .update({
-              subscription_status: 'cancelled',
-              subscription_ends_at: new Date(subscription.ended_at * 1000)
-            })
-            .eq('stripe_customer_id', subscription.customer);
-          
-          break;
+      // Stripe retries deliveries until it sees a 2xx, and can send the same event
+      // twice at once; whichever delivery claims it applies it
+      if (!await claimEvent(stripeEvent)) {
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ received: true, duplicate: true })
+        };
+      }
+
+      try {
+        await handleStripeEvent(stripeEvent);
+      } catch (error) {
+        // Kept for replay; the 500 also makes Stripe retry on its own schedule
+        await releaseEvent(stripeEvent);
+        await recordEventFailure(stripeEvent, error);
+        throw error;
       }
 
+      await markEventProcessed(stripeEvent);
+
       return {
         statusCode: 200,
         headers,
@@ -211,6 +171,156 @@ exports.handler = async (event, context) => {
       };
     }
 
+    // Webhook events that failed, newest first (admin only)
+    if (path === 'webhook-failures' && method === 'GET') {
+      const user = verifyToken(event.headers.authorization);
+      if (!requireAdmin(user)) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Admin access required' })
+        };
+      }
+
+      const params = event.queryStringParameters || {};
+      let query = supabase
+        .from('stripe_event_failures')
+        .select('event_id, type, error, attempts, last_attempt_at, resolved_at, created_at')
+        .order('last_attempt_at', { ascending: false })
+        .limit(100);
+
+      if (params.include_resolved !== 'true') {
+        query = query.is('resolved_at', null);
+      }
+
+      const { data: failures, error } = await query;
+      if (error) throw error;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(failures)
+      };
+    }
+
+    const replayMatch = path.match(/^webhook-failures\/([^/]+)\/replay$/);
+
+    // Run a failed event again from its stored payload (admin only)
+    if (replayMatch && method === 'POST') {
+      const user = verifyToken(event.headers.authorization);
+      if (!requireAdmin(user)) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Admin access required' })
+        };
+      }
+
+      const { data: failure } = await supabase
+        .from('stripe_event_failures')
+        .select('*')
+        .eq('event_id', replayMatch[1])
+        .maybeSingle();
+
+      if (!failure) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Failed event not found' })
+        };
+      }
+
+      // A Stripe retry may have got there first
+      const claimed = await claimEvent(failure.payload);
+
+      if (!claimed) {
+        const { data: applied } = await supabase
+          .from('stripe_events')
+          .select('processed_at')
+          .eq('id', failure.event_id)
+          .maybeSingle();
+
+        if (!applied?.processed_at) {
+          return {
+            statusCode: 409,
+            headers,
+            body: JSON.stringify({ error: 'A Stripe retry of this event is in progress; check again shortly' })
+          };
+        }
+      } else {
+        try {
+          await handleStripeEvent(failure.payload);
+        } catch (error) {
+          await releaseEvent(failure.payload);
+          await recordEventFailure(failure.payload, error);
+          return {
+            statusCode: 502,
+            headers,
+            body: JSON.stringify({ error: `Replay failed: ${error.message}` })
+          };
+        }
+      }
+
+      await markEventProcessed(failure.payload);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ event_id: failure.event_id, replayed: Boolean(claimed) })
+      };
+    }
+
+    // Client's invoices with PDF and hosted (pay online) links, newest first
+    if (path === 'invoices' && method === 'GET') {
+      const user = verifyToken(event.headers.authorization);
+      if (!user) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Unauthorized' })
+        };
+      }
+
+      const params = event.queryStringParameters || {};
+      const limit = Math.min(parseInt(params.limit, 10) || 24, MAX_INVOICE_PAGE);
+
+      const fetchInvoices = () => supabase
+        .from('invoices')
+        .select(INVOICE_FIELDS)
+        .eq('client_id', user.userId)
+        .neq('status', 'draft')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      let { data: invoices, error } = await fetchInvoices();
+      if (error) throw error;
+
+      // Invoices from before the table was synced are pulled once from Stripe
+      if (!invoices.length) {
+        const { data: userData } = await supabase
+          .from('users')
+          .select('stripe_customer_id')
+          .eq('id', user.userId)
+          .single();
+
+        if (userData.stripe_customer_id) {
+          const fetchedAt = new Date().toISOString();
+          const stripeInvoices = await stripe.invoices.list({ customer: userData.stripe_customer_id, limit });
+          for (const invoice of stripeInvoices.data) {
+            await recordInvoice(invoice, fetchedAt);
+          }
+          ({ data: invoices, error } = await fetchInvoices());
+          if (error) throw error;
+        }
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(invoices)
+      };
+    }
+
     // Get customer portal link
     if (path === 'customer-portal' && method === 'POST') {
       const user = verifyToken(event.headers.authorization);
@@ -261,14 +371,22 @@ exports.handler = async (event, context) => {
 
       const { data: userData } = await supabase
         .from('users')
-        .select('subscription_status, subscription_plan, subscription_ends_at, trial_ends_at')
+        .select(`subscription_status, subscription_plan, subscription_interval, subscription_ends_at, trial_ends_at,
+          upcoming_invoice_amount, upcoming_invoice_at, payment_method_brand, payment_method_last4, payment_method_expires_at,
+          dunning_started_at, features_restricted_at`)
         .eq('id', user.userId)
         .single();
 
+      // For the past-due banner: when premium features pause, or that they have
+      const { dunning_started_at, features_restricted_at, ...subscription } = userData;
+      const dunning = dunning_started_at && DUNNING_STATUSES.includes(subscription.subscription_status)
+        ? { restricted: Boolean(features_restricted_at), grace_ends_at: dunningState(userData).graceEndsAt.toISOString() }
+        : null;
+
       return {
         statusCode: 200,
         headers,
-        body: JSON.stringify(userData)
+        body: JSON.stringify({ ...subscription, dunning })
       };
     }
 
@@ -288,18 +406,558 @@ exports.handler = async (event, context) => {
   }
 };
 
+// Helper functions
+
+// Apply one webhook event. Safe to run again for the same event: payments are
+// keyed on the invoice, and changes older than what's already recorded (Stripe
+// doesn't guarantee delivery order) are skipped.
+async function handleStripeEvent(stripeEvent) {
+  const occurredAt = new Date(stripeEvent.created * 1000).toISOString();
+
+  switch (stripeEvent.type) {
+    case 'checkout.session.completed':
+      const session = stripeEvent.data.object;
+      if (session.mode !== 'subscription') break;
+
+      // The session doesn't carry prices; the subscription says what was bought.
+      // It's fetched fresh, so it's as current as anything we could receive.
+      await syncCustomerSubscription(
+        session.customer,
+        await stripe.subscriptions.retrieve(session.subscription),
+        new Date().toISOString()
+      );
+
+      break;
+
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.paused':
+    case 'customer.subscription.resumed':
+      // New subscriptions, upgrades, downgrades, interval switches and pauses, from
+      // the portal or the dashboard; the subscription object carries the whole state
+      await syncCustomerSubscription(stripeEvent.data.object.customer, stripeEvent.data.object, occurredAt);
+
+      break;
+
+    case 'customer.subscription.trial_will_end':
+      const trialing = stripeEvent.data.object;
+      const trialSynced = await syncCustomerSubscription(trialing.customer, trialing, occurredAt);
+      if (!trialSynced) break;
+
+      // Sent three days out, so the client can add a card before the trial converts
+      await notifyCustomer(trialing.customer, {
+        type: 'trial_ending',
+        title: 'Your free trial ends soon',
+        body: `Your trial ends on ${formatStripeDate(trialing.trial_end)}. Add a payment method to keep your plan.`,
+        data: { subscription_id: trialing.id, trial_ends_at: new Date(trialing.trial_end * 1000).toISOString() }
+      }, { email: true });
+
+      break;
+
+    case 'invoice.finalized':
+    case 'invoice.updated':
+    case 'invoice.voided':
+    case 'invoice.marked_uncollectible':
+      await recordInvoice(stripeEvent.data.object, occurredAt);
+
+      break;
+
+    case 'invoice.paid':
+      // Also sent for invoices paid outside a charge (marked paid, covered by
+      // credit), which can take a subscription out of past_due on their own
+      const paidInvoice = stripeEvent.data.object;
+      await recordInvoice(paidInvoice, occurredAt);
+
+      if (paidInvoice.subscription) {
+        await syncCustomerSubscription(
+          paidInvoice.customer,
+          await stripe.subscriptions.retrieve(paidInvoice.subscription),
+          new Date().toISOString()
+        );
+      }
+
+      break;
+
+    case 'invoice.upcoming':
+      // A preview with no id yet; remember what's coming and let the client know
+      const upcoming = stripeEvent.data.object;
+      const upcomingAt = new Date((upcoming.next_payment_attempt || upcoming.period_end) * 1000).toISOString();
+
+      await supabase
+        .from('users')
+        .update({ upcoming_invoice_amount: upcoming.amount_due / 100, upcoming_invoice_at: upcomingAt })
+        .eq('stripe_customer_id', upcoming.customer);
+
+      await notifyCustomer(upcoming.customer, {
+        type: 'invoice_upcoming',
+        title: 'Upcoming payment',
+        body: `You'll be charged $${(upcoming.amount_due / 100).toFixed(2)} on ${formatStripeDate(upcoming.next_payment_attempt || upcoming.period_end)}.`,
+        data: { amount: upcoming.amount_due / 100, charge_at: upcomingAt }
+      });
+
+      break;
+
+    case 'invoice.payment_succeeded':
+      const invoice = stripeEvent.data.object;
+      await recordInvoice(invoice, occurredAt);
+
+      // Trial starts, comped periods and invoices covered by credit charge nothing,
+      // so they get no payments row
+      let payment = null;
+      if (invoice.amount_paid > 0) {
+        payment = await recordPayment(invoice.id, {
+          client_id: await clientIdFor(invoice.customer) || invoice.metadata.user_id,
+          stripe_charge_id: invoice.charge,
+          amount: invoice.amount_paid / 100,
+          status: 'succeeded',
+          invoice_url: invoice.hosted_invoice_url,
+          paid_at: new Date(invoice.status_transitions.paid_at * 1000).toISOString(),
+          failure_reason: null
+        }, occurredAt);
+        if (!payment) break;
+      }
+
+      // A paid invoice doesn't mean "active": trialing and comped clients pay $0
+      // invoices too. Take the status from the subscription as it is now.
+      if (invoice.subscription) {
+        await syncCustomerSubscription(
+          invoice.customer,
+          await stripe.subscriptions.retrieve(invoice.subscription),
+          new Date().toISOString()
+        );
+      }
+      if (!payment) break;
+
+      await publishBillingEvent(invoice.customer, 'payment.succeeded', {
+        invoice_id: invoice.id,
+        amount: invoice.amount_paid / 100
+      });
+
+      break;
+
+    case 'invoice.payment_failed':
+      const failedInvoice = stripeEvent.data.object;
+      await recordInvoice(failedInvoice, occurredAt);
+
+      const failedPayment = await recordPayment(failedInvoice.id, {
+        client_id: await clientIdFor(failedInvoice.customer) || failedInvoice.metadata.user_id,
+        amount: failedInvoice.amount_due / 100,
+        status: 'failed',
+        failure_reason: failedInvoice.last_payment_error?.message
+      }, occurredAt);
+      if (!failedPayment) break;
+
+      await updateSubscriptionState(failedInvoice.customer, { subscription_status: 'past_due' }, occurredAt);
+
+      // Reminders and the grace period run from the dunning function
+      if (failedPayment.client_id) await startDunning(failedPayment.client_id);
+
+      await publishBillingEvent(failedInvoice.customer, 'payment.failed', {
+        invoice_id: failedInvoice.id,
+        amount: failedInvoice.amount_due / 100
+      });
+
+      break;
+
+    case 'customer.subscription.deleted':
+      const subscription = stripeEvent.data.object;
+
+      const cancelled = await updateSubscriptionState(subscription.customer, {
+        subscription_status: 'cancelled',
+        subscription_ends_at: new Date(subscription.ended_at * 1000).toISOString()
+      }, occurredAt);
+      if (!cancelled) break;
+
+      await publishBillingEvent(subscription.customer, 'subscription.cancelled', {
+        subscription_id: subscription.id
+      });
+
+      break;
+
+    case 'charge.refunded':
+      const refundedCharge = stripeEvent.data.object;
+
+      // refunded is only true once the whole charge has been returned
+      const refundedPayment = await recordChargePayment(refundedCharge, {
+        status: refundedCharge.refunded ? 'refunded' : 'succeeded',
+        refund_amount: refundedCharge.amount_refunded / 100,
+        refunded_at: occurredAt
+      }, occurredAt);
+      if (!refundedPayment) break;
+
+      // Refunds issued from the admin dashboard were logged there, with the reason.
+      // The event doesn't include the charge's refunds, so fetch the newest one.
+      const { data: [latestRefund] } = await stripe.refunds.list({ charge: refundedCharge.id, limit: 1 });
+      await publishBillingEvent(refundedCharge.customer, 'payment.refunded', {
+        invoice_id: refundedPayment.stripe_invoice_id,
+        amount: refundedPayment.amount,
+        refund_amount: refundedPayment.refund_amount
+      }, { logged: Boolean(latestRefund?.metadata?.issued_by) });
+
+      break;
+
+    case 'charge.dispute.created':
+      const dispute = stripeEvent.data.object;
+      // The dispute only names the charge; the charge says whose and which invoice
+      const disputedCharge = await stripe.charges.retrieve(dispute.charge);
+
+      const disputedPayment = await recordChargePayment(disputedCharge, {
+        status: 'disputed',
+        dispute_reason: dispute.reason,
+        disputed_at: occurredAt
+      }, occurredAt);
+      if (!disputedPayment) break;
+
+      await publishBillingEvent(disputedCharge.customer, 'payment.disputed', {
+        invoice_id: disputedPayment.stripe_invoice_id,
+        amount: dispute.amount / 100,
+        reason: dispute.reason
+      });
+
+      break;
+
+    case 'payment_method.attached':
+      const paymentMethod = stripeEvent.data.object;
+      if (!paymentMethod.customer || !paymentMethod.card) break;
+
+      await supabase
+        .from('users')
+        .update({
+          payment_method_brand: paymentMethod.card.brand,
+          payment_method_last4: paymentMethod.card.last4,
+          payment_method_expires_at: lastDayOfMonth(paymentMethod.card.exp_year, paymentMethod.card.exp_month)
+        })
+        .eq('stripe_customer_id', paymentMethod.customer);
+
+      await publishBillingEvent(paymentMethod.customer, 'payment_method.updated', {
+        brand: paymentMethod.card.brand,
+        last4: paymentMethod.card.last4
+      });
+
+      break;
+  }
+}
+
+// Insert-or-nothing, so of two overlapping deliveries only one gets the row back.
+// A claim left by a run that died is taken over rather than blocking the event.
+async function claimEvent(stripeEvent) {
+  const now = new Date().toISOString();
+  const { data: claimed, error } = await supabase
+    .from('stripe_events')
+    .upsert({
+      id: stripeEvent.id,
+      type: stripeEvent.type,
+      stripe_created_at: new Date(stripeEvent.created * 1000).toISOString(),
+      claimed_at: now
+    }, { onConflict: 'id', ignoreDuplicates: true })
+    .select('id');
+
+  if (error) throw error;
+  if (claimed.length) return true;
+
+  const { data: takenOver, error: takeOverError } = await supabase
+    .from('stripe_events')
+    .update({ claimed_at: now })
+    .eq('id', stripeEvent.id)
+    .is('processed_at', null)
+    .lt('claimed_at', new Date(Date.now() - EVENT_CLAIM_STALE_MS).toISOString())
+    .select('id');
+
+  if (takeOverError) throw takeOverError;
+  return takenOver.length > 0;
+}
+
+// Processing failed; let Stripe's retry or a replay claim it again
+async function releaseEvent(stripeEvent) {
+  const { error } = await supabase
+    .from('stripe_events')
+    .delete()
+    .eq('id', stripeEvent.id)
+    .is('processed_at', null);
+
+  if (error) console.error(`Failed to release webhook event ${stripeEvent.id}:`, error);
+}
+
+async function markEventProcessed(stripeEvent) {
+  await supabase
+    .from('stripe_events')
+    .update({ processed_at: new Date().toISOString() })
+    .eq('id', stripeEvent.id);
+
+  await supabase
+    .from('stripe_event_failures')
+    .update({ resolved_at: new Date().toISOString() })
+    .eq('event_id', stripeEvent.id)
+    .is('resolved_at', null);
+}
+
+async function recordEventFailure(stripeEvent, error) {
+  try {
+    const { data: existing } = await supabase
+      .from('stripe_event_failures')
+      .select('attempts')
+      .eq('event_id', stripeEvent.id)
+      .maybeSingle();
+
+    await supabase
+      .from('stripe_event_failures')
+      .upsert({
+        event_id: stripeEvent.id,
+        type: stripeEvent.type,
+        payload: stripeEvent,
+        error: error.message,
+        attempts: (existing?.attempts || 0) + 1,
+        last_attempt_at: new Date().toISOString(),
+        resolved_at: null
+      }, { onConflict: 'event_id' });
+  } catch (recordError) {
+    console.error('Failed to record webhook failure:', recordError);
+  }
+}
+
+async function clientIdFor(customerId) {
+  const { data: customer } = await supabase
+    .from('users')
+    .select('id')
+    .eq('stripe_customer_id', customerId)
+    .maybeSingle();
+
+  return customer?.id || null;
+}
+
+// One payments row per invoice. Returns null when a newer event for the invoice
+// has already been recorded.
+async function recordPayment(invoiceId, fields, occurredAt) {
+  const { data: existing } = await supabase
+    .from('payments')
+    .select('id, stripe_event_at')
+    .eq('stripe_invoice_id', invoiceId)
+    .maybeSingle();
+
+  if (existing?.stripe_event_at && new Date(existing.stripe_event_at) > new Date(occurredAt)) {
+    return null;
+  }
+
+  const { data: payment, error } = await supabase
+    .from('payments')
+    .upsert({
+      stripe_invoice_id: invoiceId,
+      ...fields,
+      stripe_event_at: occurredAt
+    }, { onConflict: 'stripe_invoice_id' })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return payment;
+}
+
+// Refunds and disputes arrive per charge. The row is still keyed on the invoice,
+// and is created here if the charge's invoice.payment_succeeded hasn't landed yet.
+async function recordChargePayment(charge, fields, occurredAt) {
+  const { data: existing } = await supabase
+    .from('payments')
+    .select('stripe_invoice_id')
+    .eq('stripe_charge_id', charge.id)
+    .maybeSingle();
+
+  const invoiceId = existing?.stripe_invoice_id || charge.invoice;
+  if (!invoiceId) {
+    console.error(`Charge ${charge.id} has no invoice; not a subscription payment`);
+    return null;
+  }
+
+  return recordPayment(invoiceId, {
+    client_id: await clientIdFor(charge.customer),
+    stripe_payment_intent_id: charge.payment_intent,
+    stripe_charge_id: charge.id,
+    amount: charge.amount / 100,
+    receipt_url: charge.receipt_url,
+    ...fields
+  }, occurredAt);
+}
+
+// Mirror of the Stripe invoice, skipped when a newer event already updated it
+async function recordInvoice(invoice, occurredAt) {
+  const { data: existing } = await supabase
+    .from('invoices')
+    .select('stripe_event_at')
+    .eq('stripe_invoice_id', invoice.id)
+    .maybeSingle();
+
+  if (existing?.stripe_event_at && new Date(existing.stripe_event_at) > new Date(occurredAt)) {
+    return null;
+  }
+
+  const { data: saved, error } = await supabase
+    .from('invoices')
+    .upsert({
+      client_id: await clientIdFor(invoice.customer),
+      stripe_invoice_id: invoice.id,
+      invoice_number: invoice.number,
+      amount_due: invoice.amount_due / 100,
+      amount_paid: invoice.amount_paid / 100,
+      currency: invoice.currency?.toUpperCase(),
+      status: invoice.status,
+      due_date: invoice.due_date ? new Date(invoice.due_date * 1000).toISOString().slice(0, 10) : null,
+      paid_at: invoice.status_transitions?.paid_at
+        ? new Date(invoice.status_transitions.paid_at * 1000).toISOString()
+        : null,
+      attempt_count: invoice.attempt_count || 0,
+      invoice_pdf_url: invoice.invoice_pdf,
+      hosted_invoice_url: invoice.hosted_invoice_url,
+      stripe_event_at: occurredAt,
+      created_at: new Date(invoice.created * 1000).toISOString()
+    }, { onConflict: 'stripe_invoice_id' })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return saved;
+}
+
+// In-app notification (and optionally an email) for the customer's user
+async function notifyCustomer(customerId, notification, { email = false } = {}) {
+  const { data: customer } = await supabase
+    .from('users')
+    .select('id, email')
+    .eq('stripe_customer_id', customerId)
+    .maybeSingle();
+
+  if (!customer) return;
+
+  const { data: created, error } = await supabase
+    .from('notifications')
+    .insert({ user_id: customer.id, ...notification })
+    .select()
+    .single();
+
+  if (error) throw error;
+  await publishEvent(customer.id, 'notification.created', created);
+
+  if (email && customer.email) {
+    await sendMail({ to: customer.email, subject: notification.title, text: notification.body });
+  }
+}
+
+function formatStripeDate(seconds) {
+  return new Date(seconds * 1000).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+}
+
+// Cards are good through the end of their expiry month
+function lastDayOfMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+}
+
+// Subscription columns on the customer's user, unless something newer already set them
+async function updateSubscriptionState(customerId, fields, asOf) {
+  const { data: updated, error } = await supabase
+    .from('users')
+    .update({ ...fields, subscription_synced_at: asOf })
+    .eq('stripe_customer_id', customerId)
+    .or(`subscription_synced_at.is.null,subscription_synced_at.lte."${asOf}"`)
+    .select('id')
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (updated && !DUNNING_STATUSES.includes(fields.subscription_status)) {
+    await endDunning(updated.id);
+  }
+  return updated;
+}
+
+// Record the subscription's plan, interval and status on the customer's user
+async function syncCustomerSubscription(customerId, subscription, asOf) {
+  const { data: customer } = await supabase
+    .from('users')
+    .select('id, subscription_plan')
+    .eq('stripe_customer_id', customerId)
+    .maybeSingle();
+
+  if (!customer) {
+    console.error(`Subscription ${subscription.id} belongs to unknown customer ${customerId}`);
+    return null;
+  }
+
+  const updated = await syncSubscription(customer.id, subscription, { asOf });
+  if (!updated) return null;
+
+  await publishBillingEvent(customerId, 'subscription.updated', {
+    subscription_id: subscription.id,
+    previous_plan: customer.subscription_plan,
+    ...updated
+  });
+  return updated;
+}
+
+// Realtime events that also belong in the activity log
+const BILLING_ACTIVITY = {
+  'payment.succeeded': 'payment_succeeded',
+  'payment.failed': 'payment_failed',
+  'payment.refunded': 'payment_refunded',
+  'payment.disputed': 'payment_disputed'
+};
+
+// Push billing changes to the client's open app and the trainer's dashboard
+async function publishBillingEvent(customerId, eventType, payload, { logged = false } = {}) {
+  const { data: customer } = await supabase
+    .from('users')
+    .select('id')
+    .eq('stripe_customer_id', customerId)
+    .maybeSingle();
+
+  await publishEvent(customer?.id, eventType, payload);
+  await publishToAdmins(eventType, { ...payload, client_id: customer?.id });
+
+  if (BILLING_ACTIVITY[eventType] && !logged) {
+    await logActivity({
+      action: BILLING_ACTIVITY[eventType],
+      clientId: customer?.id,
+      targetType: 'invoice',
+      details: payload
+    });
+  }
+}
+
 // =========================================
 // /netlify/functions/admin-dashboard.js
 // Admin-only endpoints for trainer
 // =========================================
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const StripeAdmin = require('stripe');
 const { createClient: createAdminClient } = require('@supabase/supabase-js');
-const { verifyToken: verifyAdminToken, requireAdmin } = require('./utils/auth');
-
+const { verifyToken: verifyAdminToken, requireAdmin, STEP_UP_REQUIRED } = require('./utils/auth');
+const { sendAccountEmail } = require('./utils/account-tokens');
+const { getPlan, syncSubscription, PLAN_KEYS } = require('./utils/billing');
+const { publishEvent: publishAdminEvent } = require('./utils/realtime');
+const { logActivity: logAdminActivity, ACTIVITY_TYPES } = require('./utils/activity');
+const { dunningState: dunningStateFor, DUNNING_STATUSES: ADMIN_DUNNING_STATUSES } = require('./utils/dunning');
+
+const stripeAdmin = StripeAdmin(process.env.STRIPE_SECRET_KEY);
 const supabaseAdmin = createAdminClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 );
 
+// 100%-off coupon applied when the trainer comps a client
+const COMP_COUPON_ID = process.env.STRIPE_COMP_COUPON_ID || 'trainer-comp';
+const SUBSCRIPTION_ACTIONS = ['change', 'comp', 'end_comp', 'pause', 'resume'];
+
+// Actor and client names for activity rows (two foreign keys to users)
+const ACTIVITY_SELECT = `
+  *,
+  actor:users!user_id(id, username, role, profile:user_profiles(first_name, last_name)),
+  client:users!client_id(id, username, profile:user_profiles(first_name, last_name))
+`;
+const MAX_ACTIVITY_PAGE = 100;
+const INVOICE_FILTERS = ['open', 'overdue'];
+// Payments that brought money in; refunded ones count for what's left after the refund
+const REVENUE_STATUSES = ['succeeded', 'refunded'];
+const REFUND_REASONS = ['requested_by_customer', 'duplicate', 'fraudulent'];
+const MAX_PAYMENTS_PAGE = 100;
+
 exports.handler = async (event, context) => {
   const headers = {
     'Access-Control-Allow-Origin': '*',
@@ -331,14 +989,14 @@ exports.handler = async (event, context) => {
       const today = new Date();
       const thirtyDaysAgo = new Date(today.setDate(today.getDate() - 30));
 
-      // Total revenue
+      // Total revenue, net of refunds
       const { data: revenue } = await supabaseAdmin
         .from('payments')
-        .select('amount')
-        .eq('status', 'succeeded')
+        .select('amount, refund_amount')
+        .in('status', REVENUE_STATUSES)
         .gte('created_at', thirtyDaysAgo.toISOString());
 
-      const totalRevenue = revenue?.reduce((sum, p) => sum + p.amount, 0) || 0;
+      const totalRevenue = revenue?.reduce((sum, p) => sum + netAmount(p), 0) || 0;
 
       // Active clients
       const { data: clients, count: totalClients } = await supabaseAdmin
@@ -364,11 +1022,9 @@ exports.handler = async (event, context) => {
       // Recent activity
       const { data: recentActivity } = await supabaseAdmin
         .from('activity_logs')
-        .select(`
-          *,
-          user:users(first_name, last_name, email)
-        `)
+        .select(ACTIVITY_SELECT)
         .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
         .limit(10);
 
       // Upcoming sessions
@@ -378,6 +1034,7 @@ exports.handler = async (event, context) => {
           *,
           client:users(first_name, last_name)
         `)
+        .eq('status', 'scheduled')
         .gte('start_time', new Date().toISOString())
         .order('start_time', { ascending: true })
         .limit(5);
@@ -385,125 +1042,801 @@ exports.handler = async (event, context) => {
       return {
         statusCode: 200,
         headers,
-        body: JSON.stringify({
-          metrics: {
-            totalRevenue,
-            monthlyRecurringRevenue: activeClients * 79, // Average price
-            totalClients,
-            activeClients,
-            completionRate: Math.round(completionRate),
-            trialClients: clients?.filter(c => c.subscription_status === 'trialing').length || 0
-          },
-          recentActivity,
-          upcomingSessions
-        })
+        body: JSON.stringify({
+          metrics: {
+            totalRevenue,
+            monthlyRecurringRevenue: activeClients * 79, // Average price
+            totalClients,
+            activeClients,
+            completionRate: Math.round(completionRate),
+            trialClients: clients?.filter(c => c.subscription_status === 'trialing').length || 0
+          },
+          recentActivity,
+          upcomingSessions
+        })
+      };
+    }
+
+    // Get all clients with details
+    if (path === 'clients' && method === 'GET') {
+      const { data: clients } = await supabaseAdmin
+        .from('users')
+        .select(`
+          *,
+          profile:user_profiles(*),
+          last_payment:payments(amount, paid_at),
+          workouts:workouts(completed_at)
+        `)
+        .eq('role', 'client')
+        .order('created_at', { ascending: false });
+
+      // Calculate stats for each client
+      const clientsWithStats = clients?.map(client => {
+        const completedWorkouts = client.workouts?.filter(w => w.completed_at).length || 0;
+        const totalWorkouts = client.workouts?.length || 0;
+        
+        return {
+          ...client,
+          stats: {
+            completedWorkouts,
+            totalWorkouts,
+            completionRate: totalWorkouts > 0 
+              ? Math.round((completedWorkouts / totalWorkouts) * 100) 
+              : 0
+          }
+        };
+      });
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(clientsWithStats)
+      };
+    }
+
+    // Get revenue analytics
+    if (path === 'revenue' && method === 'GET') {
+      const { period = 'month' } = event.queryStringParameters || {};
+      
+      let startDate = new Date();
+      if (period === 'week') {
+        startDate.setDate(startDate.getDate() - 7);
+      } else if (period === 'month') {
+        startDate.setMonth(startDate.getMonth() - 1);
+      } else if (period === 'year') {
+        startDate.setFullYear(startDate.getFullYear() - 1);
+      }
+
+      const { data: payments } = await supabaseAdmin
+        .from('payments')
+        .select('amount, refund_amount, created_at')
+        .in('status', REVENUE_STATUSES)
+        .gte('created_at', startDate.toISOString())
+        .order('created_at', { ascending: true });
+
+      // Group by day/week/month
+      const revenueData = groupRevenueByPeriod(payments, period);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(revenueData)
+      };
+    }
+
+    // Create new client (admin only)
+    if (path === 'create-client' && method === 'POST') {
+      const { email, firstName, lastName, plan } = JSON.parse(event.body);
+
+      // Create user account; the client picks a password from the invitation
+      const { data: newUser, error } = await supabaseAdmin
+        .from('users')
+        .insert({
+          email,
+          username: email.split('@')[0],
+          password_hash: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+          role: 'client',
+          subscription_plan: plan || 'trial',
+          subscription_status: 'trialing',
+          trial_ends_at: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000)
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      // Create profile
+      await supabaseAdmin
+        .from('user_profiles')
+        .insert({
+          user_id: newUser.id,
+          first_name: firstName,
+          last_name: lastName
+        });
+
+      // Send welcome email with a set-password link. The client exists either way;
+      // if the mail fails the trainer can send it again with resend-invitation.
+      let invitationSent = true;
+      try {
+        await sendAccountEmail(newUser, 'invitation', firstName);
+      } catch (mailError) {
+        console.error(`Invitation email to ${newUser.id} failed:`, mailError);
+        invitationSent = false;
+      }
+
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify({ ...newUser, invitation_sent: invitationSent })
+      };
+    }
+
+    // Activity feed, newest first, filterable and paged with an opaque cursor
+    if (path === 'activity' && method === 'GET') {
+      const params = event.queryStringParameters || {};
+      const limit = Math.min(parseInt(params.limit, 10) || 50, MAX_ACTIVITY_PAGE);
+      const actions = params.action ? params.action.split(',') : [];
+
+      const unknown = actions.filter(action => !ACTIVITY_TYPES.includes(action));
+      if (unknown.length) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: `Unknown action: ${unknown.join(', ')}` })
+        };
+      }
+
+      let query = supabaseAdmin
+        .from('activity_logs')
+        .select(ACTIVITY_SELECT)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit + 1);
+
+      if (actions.length) query = query.in('action', actions);
+      if (params.client_id) query = query.eq('client_id', params.client_id);
+      if (params.actor_id) query = query.eq('user_id', params.actor_id);
+      if (params.from) query = query.gte('created_at', params.from);
+      if (params.to) query = query.lte('created_at', params.to);
+
+      if (params.cursor) {
+        const cursor = decodeActivityCursor(params.cursor);
+        if (!cursor) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Invalid cursor' })
+          };
+        }
+        query = query.or(`created_at.lt."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.lt.${cursor.id})`);
+      }
+
+      const { data: rows, error } = await query;
+      if (error) throw error;
+
+      const items = rows.slice(0, limit);
+      const last = items[items.length - 1];
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          items,
+          nextCursor: rows.length > limit ? encodeActivityCursor(last) : null
+        })
+      };
+    }
+
+    // Unpaid invoices across clients, most overdue first
+    if (path === 'invoices' && method === 'GET') {
+      const params = event.queryStringParameters || {};
+      const filter = params.status || 'open';
+
+      if (!INVOICE_FILTERS.includes(filter)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: `status must be one of: ${INVOICE_FILTERS.join(', ')}` })
+        };
+      }
+
+      const { data: invoices, error } = await supabaseAdmin
+        .from('invoices')
+        .select('*, client:users!client_id(id, username, email, profile:user_profiles(first_name, last_name))')
+        .eq('status', 'open')
+        .order('due_date', { ascending: true, nullsFirst: false })
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      const today = new Date().toISOString().slice(0, 10);
+      const annotated = invoices
+        .map(invoice => ({ ...invoice, ...overdueStatus(invoice, today) }))
+        .filter(invoice => filter === 'open' || invoice.overdue);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          invoices: annotated,
+          totalDue: Math.round(annotated.reduce((sum, invoice) => sum + Number(invoice.amount_due || 0), 0) * 100) / 100,
+          overdueCount: annotated.filter(invoice => invoice.overdue).length
+        })
+      };
+    }
+
+    // Everything about one client for the detail page
+    const clientMatch = path.match(/^client\/([0-9a-f-]{36})$/i);
+    if (clientMatch && method === 'GET') {
+      const clientId = clientMatch[1];
+
+      const { data: client } = await supabaseAdmin
+        .from('users')
+        .select('*, profile:user_profiles(*)')
+        .eq('id', clientId)
+        .eq('role', 'client')
+        .maybeSingle();
+
+      if (!client) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Client not found' })
+        };
+      }
+
+      const now = new Date();
+      const since = new Date(now.getTime() - ADHERENCE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+      const [
+        { data: goals },
+        { data: progress },
+        { data: workouts },
+        { data: streaks },
+        { data: payments },
+        { count: messageCount },
+        { count: fromClientCount },
+        { count: unreadFromClientCount },
+        { data: lastMessages },
+        { data: upcomingSessions },
+        { data: aiUsage }
+      ] = await Promise.all([
+        // Stored progress; goals-evaluate refreshes it hourly for clients who stop logging
+        supabaseAdmin.from('goals').select('*, exercise:exercises(name)')
+          .eq('client_id', clientId)
+          .order('priority', { ascending: true }),
+        supabaseAdmin.from('progress_entries').select('*')
+          .eq('client_id', clientId)
+          .order('entry_date', { ascending: false })
+          .limit(10),
+        supabaseAdmin.from('workouts').select('id, name, scheduled_date, completed_at, difficulty_rating')
+          .eq('client_id', clientId)
+          .gte('scheduled_date', since.toISOString().split('T')[0])
+          .lte('scheduled_date', now.toISOString().split('T')[0])
+          .order('scheduled_date', { ascending: false }),
+        supabaseAdmin.from('streaks').select('*').eq('client_id', clientId),
+        supabaseAdmin.from('payments').select('*')
+          .eq('client_id', clientId)
+          .order('created_at', { ascending: false }),
+        supabaseAdmin.from('messages').select('id', { count: 'exact', head: true })
+          .or(`sender_id.eq.${clientId},recipient_id.eq.${clientId}`),
+        supabaseAdmin.from('messages').select('id', { count: 'exact', head: true })
+          .eq('sender_id', clientId),
+        supabaseAdmin.from('messages').select('id', { count: 'exact', head: true })
+          .eq('sender_id', clientId)
+          .eq('is_read', false),
+        supabaseAdmin.from('messages').select('sender_id, content, created_at')
+          .or(`sender_id.eq.${clientId},recipient_id.eq.${clientId}`)
+          .order('created_at', { ascending: false })
+          .limit(1),
+        supabaseAdmin.from('calendar_events').select('*')
+          .eq('client_id', clientId)
+          .eq('status', 'scheduled')
+          .gte('start_time', now.toISOString())
+          .order('start_time', { ascending: true })
+          .limit(5),
+        supabaseAdmin.from('ai_usage_logs').select('function_name, tokens_used, cost, created_at')
+          .eq('user_id', clientId)
+          .gte('created_at', since.toISOString())
+      ]);
+
+      const { password_hash, totp_secret, totp_last_step, ...account } = client;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          client: {
+            ...account,
+            profile: Array.isArray(client.profile) ? client.profile[0] : client.profile
+          },
+          goals,
+          progress,
+          adherence: { ...summarizeAdherence(workouts || []), streaks },
+          payments: summarizePayments(payments || []),
+          messages: summarizeMessages({
+            total: messageCount,
+            fromClient: fromClientCount,
+            unreadFromClient: unreadFromClientCount
+          }, lastMessages?.[0], clientId),
+          upcomingSessions,
+          aiUsage: summarizeAiUsage(aiUsage || [])
+        })
+      };
+    }
+
+    // Upgrade, downgrade, comp or pause a client's plan through Stripe.
+    // { preview: true } returns the proration for a plan change without applying it;
+    // pass its proration_date back when applying so the amounts match.
+    const subscriptionMatch = path.match(/^client\/([0-9a-f-]{36})\/subscription$/i);
+    if (subscriptionMatch && method === 'PUT') {
+      const body = JSON.parse(event.body || '{}');
+      const { action = 'change', plan: planKey, preview, proration_date, resumes_at } = body;
+
+      if (!SUBSCRIPTION_ACTIONS.includes(action)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: `action must be one of: ${SUBSCRIPTION_ACTIONS.join(', ')}` })
+        };
+      }
+
+      if (!preview && !requireAdmin(user, { recentMfa: true })) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify(STEP_UP_REQUIRED)
+        };
+      }
+
+      const { data: client } = await supabaseAdmin
+        .from('users')
+        .select('id, stripe_customer_id, stripe_subscription_id, subscription_plan, subscription_interval, subscription_status')
+        .eq('id', subscriptionMatch[1])
+        .eq('role', 'client')
+        .maybeSingle();
+
+      if (!client) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Client not found' })
+        };
+      }
+
+      // Plan changes keep the client's billing interval unless one is given
+      const interval = body.interval || client.subscription_interval || 'month';
+      const plan = action === 'change' ? await getPlan(planKey, interval) : null;
+      if (action === 'change' && !plan?.stripe_price_id) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: `plan must be one of: ${PLAN_KEYS.join(', ')} with a ${interval}ly price` })
+        };
+      }
+
+      // Trial clients have no Stripe subscription yet: only the plan on record changes
+      if (!client.stripe_subscription_id) {
+        if (!['change', 'comp'].includes(action) || preview) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Client has no active Stripe subscription' })
+          };
+        }
+
+        const { data: updated, error } = await supabaseAdmin
+          .from('users')
+          .update(action === 'comp'
+            ? { subscription_status: 'comped', subscription_amount: 0 }
+            : { subscription_plan: plan.key, subscription_interval: plan.interval })
+          .eq('id', client.id)
+          .select('id, subscription_plan, subscription_status, subscription_amount, subscription_ends_at')
+          .single();
+
+        if (error) throw error;
+        await publishAdminEvent(client.id, 'subscription.updated', { plan: updated.subscription_plan, status: updated.subscription_status });
+        await logPlanChange(user, client, updated, action, event);
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify(updated)
+        };
+      }
+
+      const subscription = await stripeAdmin.subscriptions.retrieve(client.stripe_subscription_id);
+      const item = subscription.items.data[0];
+
+      if (preview) {
+        if (action !== 'change') {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Only plan changes can be previewed' })
+          };
+        }
+
+        const prorationDate = Math.floor(Date.now() / 1000);
+        const upcoming = await stripeAdmin.invoices.retrieveUpcoming({
+          customer: client.stripe_customer_id,
+          subscription: subscription.id,
+          subscription_items: [{ id: item.id, price: plan.stripe_price_id }],
+          subscription_proration_date: prorationDate
+        });
+
+        const prorationAmount = upcoming.lines.data
+          .filter(line => line.proration)
+          .reduce((sum, line) => sum + line.amount, 0);
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            currentPlan: client.subscription_plan,
+            plan: plan.key,
+            prorationDate,
+            prorationAmount: prorationAmount / 100,
+            nextInvoiceAmount: upcoming.amount_due / 100,
+            nextInvoiceAt: upcoming.next_payment_attempt
+              ? new Date(upcoming.next_payment_attempt * 1000).toISOString()
+              : null,
+            currency: upcoming.currency
+          })
+        };
+      }
+
+      let updatedSubscription;
+      if (action === 'change') {
+        updatedSubscription = await stripeAdmin.subscriptions.update(subscription.id, {
+          items: [{ id: item.id, price: plan.stripe_price_id }],
+          proration_behavior: 'create_prorations',
+          ...(proration_date ? { proration_date } : {}),
+          metadata: { ...subscription.metadata, plan: plan.key }
+        });
+      } else if (action === 'comp') {
+        await ensureCompCoupon();
+        updatedSubscription = await stripeAdmin.subscriptions.update(subscription.id, { coupon: COMP_COUPON_ID });
+      } else if (action === 'end_comp') {
+        await stripeAdmin.subscriptions.deleteDiscount(subscription.id);
+        updatedSubscription = await stripeAdmin.subscriptions.retrieve(subscription.id);
+      } else if (action === 'pause') {
+        // Invoices during the pause are voided, so nothing is charged
+        updatedSubscription = await stripeAdmin.subscriptions.update(subscription.id, {
+          pause_collection: {
+            behavior: 'void',
+            ...(resumes_at ? { resumes_at: Math.floor(new Date(resumes_at).getTime() / 1000) } : {})
+          }
+        });
+      } else {
+        updatedSubscription = await stripeAdmin.subscriptions.update(subscription.id, { pause_collection: '' });
+      }
+
+      const updated = await syncSubscription(client.id, updatedSubscription);
+      await publishAdminEvent(client.id, 'subscription.updated', { plan: updated.subscription_plan, status: updated.subscription_status });
+      await logPlanChange(user, client, updated, action, event);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(updated)
+      };
+    }
+
+    // Past-due clients in the dunning sequence, longest overdue first
+    if (path === 'dunning' && method === 'GET') {
+      const { data: accounts, error } = await supabaseAdmin
+        .from('users')
+        .select(`
+          id, username, email, subscription_plan, subscription_status, subscription_amount,
+          dunning_started_at, dunning_reminders_sent, dunning_last_reminder_at, features_restricted_at,
+          profile:user_profiles(first_name, last_name)
+        `)
+        .not('dunning_started_at', 'is', null)
+        .in('subscription_status', ADMIN_DUNNING_STATUSES)
+        .order('dunning_started_at', { ascending: true });
+
+      if (error) throw error;
+
+      const { data: openInvoices } = await supabaseAdmin
+        .from('invoices')
+        .select('client_id, amount_due')
+        .eq('status', 'open')
+        .in('client_id', accounts.map(account => account.id));
+
+      const queue = accounts.map(account => {
+        const state = dunningStateFor(account);
+        return {
+          ...account,
+          days_past_due: state.daysIn,
+          grace_ends_at: state.graceEndsAt.toISOString(),
+          restricted: Boolean(account.features_restricted_at),
+          amount_due: (openInvoices || [])
+            .filter(invoice => invoice.client_id === account.id)
+            .reduce((sum, invoice) => sum + Number(invoice.amount_due || 0), 0)
+        };
+      });
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(queue)
+      };
+    }
+
+    // Payments across clients, newest first (filters: status, client_id)
+    if (path === 'payments' && method === 'GET') {
+      const params = event.queryStringParameters || {};
+      const limit = Math.min(parseInt(params.limit, 10) || 50, MAX_PAYMENTS_PAGE);
+
+      let query = supabaseAdmin
+        .from('payments')
+        .select('*, client:users!client_id(id, username, email, profile:user_profiles(first_name, last_name))')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (params.status) query = query.eq('status', params.status);
+      if (params.client_id) query = query.eq('client_id', params.client_id);
+
+      const { data: payments, error } = await query;
+      if (error) throw error;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(payments.map(payment => ({ ...payment, net_amount: netAmount(payment) })))
+      };
+    }
+
+    const refundMatch = path.match(/^payments\/([0-9a-f-]{36})\/refund$/i);
+
+    // Refund all or part of a payment through Stripe
+    if (refundMatch && method === 'POST') {
+      if (!requireAdmin(user, { recentMfa: true })) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify(STEP_UP_REQUIRED)
+        };
+      }
+
+      const { amount, reason, stripe_reason = 'requested_by_customer' } = JSON.parse(event.body || '{}');
+
+      if (typeof reason !== 'string' || !reason.trim()) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'reason is required' })
+        };
+      }
+      if (!REFUND_REASONS.includes(stripe_reason)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: `stripe_reason must be one of: ${REFUND_REASONS.join(', ')}` })
+        };
+      }
+
+      const { data: payment } = await supabaseAdmin
+        .from('payments')
+        .select('*')
+        .eq('id', refundMatch[1])
+        .maybeSingle();
+
+      if (!payment) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Payment not found' })
+        };
+      }
+
+      const refundable = netAmount(payment);
+      if (payment.status !== 'succeeded' || !payment.stripe_charge_id || refundable <= 0) {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({ error: 'Payment has nothing left to refund' })
+        };
+      }
+
+      // Omitted amount refunds whatever hasn't been refunded yet
+      const refundAmount = amount === undefined ? refundable : Number(amount);
+      if (!(refundAmount > 0) || refundAmount > refundable) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: `amount must be greater than 0 and at most ${refundable.toFixed(2)}` })
+        };
+      }
+
+      // A double submit reads the same refund_amount, so it gets the same key and
+      // Stripe hands back the first refund instead of issuing another
+      const refundCents = Math.round(refundAmount * 100);
+      const refund = await stripeAdmin.refunds.create({
+        charge: payment.stripe_charge_id,
+        amount: refundCents,
+        reason: stripe_reason,
+        metadata: { issued_by: user.userId, reason: reason.trim() },
+        expand: ['charge']
+      }, {
+        idempotencyKey: `refund-${payment.id}-${Math.round(Number(payment.refund_amount || 0) * 100)}-${refundCents}`
+      });
+      const replayed = refund.lastResponse?.headers?.['idempotent-replayed'] === 'true';
+
+      // What Stripe says has been refunded in total, as charge.refunded records it
+      const totalRefunded = refund.charge.amount_refunded / 100;
+      const { data: updated, error } = await supabaseAdmin
+        .from('payments')
+        .update({
+          refund_amount: totalRefunded,
+          refunded_at: new Date().toISOString(),
+          status: refund.charge.refunded ? 'refunded' : 'succeeded'
+        })
+        .eq('id', payment.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      // The first request already logged and announced it
+      if (!replayed) {
+        await logAdminActivity({
+          action: 'payment_refunded',
+          actorId: user.userId,
+          clientId: payment.client_id,
+          targetType: 'payment',
+          targetId: payment.id,
+          details: { amount: refundAmount, total_refunded: totalRefunded, reason: reason.trim(), refund_id: refund.id },
+          event
+        });
+        await publishAdminEvent(payment.client_id, 'payment.refunded', {
+          invoice_id: payment.stripe_invoice_id,
+          amount: Number(payment.amount),
+          refund_amount: totalRefunded
+        });
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ payment: { ...updated, net_amount: netAmount(updated) }, refund_id: refund.id })
       };
     }
 
-    // Get all clients with details
-    if (path === 'clients' && method === 'GET') {
-      const { data: clients } = await supabaseAdmin
+    const creditMatch = path.match(/^client\/([0-9a-f-]{36})\/credit$/i);
+
+    // Account credit, applied by Stripe to the client's next invoices
+    if (creditMatch && method === 'POST') {
+      if (!requireAdmin(user, { recentMfa: true })) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify(STEP_UP_REQUIRED)
+        };
+      }
+
+      const { amount, reason } = JSON.parse(event.body || '{}');
+      const creditAmount = Number(amount);
+
+      if (typeof reason !== 'string' || !reason.trim()) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'reason is required' })
+        };
+      }
+      if (!(creditAmount > 0)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'amount must be greater than 0' })
+        };
+      }
+
+      const { data: client } = await supabaseAdmin
         .from('users')
-        .select(`
-          *,
-          profile:user_profiles(*),
-          last_payment:payments(amount, paid_at),
-          workouts:workouts(completed_at)
-        `)
+        .select('id, stripe_customer_id')
+        .eq('id', creditMatch[1])
         .eq('role', 'client')
-        .order('created_at', { ascending: false });
+        .maybeSingle();
 
-      // Calculate stats for each client
-      const clientsWithStats = clients?.map(client => {
-        const completedWorkouts = client.workouts?.filter(w => w.completed_at).length || 0;
-        const totalWorkouts = client.workouts?.length || 0;
-        
+      if (!client) {
         return {
-          ...client,
-          stats: {
-            completedWorkouts,
-            totalWorkouts,
-            completionRate: totalWorkouts > 0 
-              ? Math.round((completedWorkouts / totalWorkouts) * 100) 
-              : 0
-          }
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Client not found' })
         };
-      });
-
-      return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify(clientsWithStats)
-      };
-    }
+      }
+      if (!client.stripe_customer_id) {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({ error: 'Client has no Stripe customer to credit' })
+        };
+      }
 
-    // Get revenue analytics
-    if (path === 'revenue' && method === 'GET') {
-      const { period = 'month' } = event.queryStringParameters || {};
-      
-      let startDate = new Date();
-      if (period === 'week') {
-        startDate.setDate(startDate.getDate() - 7);
-      } else if (period === 'month') {
-        startDate.setMonth(startDate.getMonth() - 1);
-      } else if (period === 'year') {
-        startDate.setFullYear(startDate.getFullYear() - 1);
+      // Balances are kept in the currency the customer is billed in
+      const customer = await stripeAdmin.customers.retrieve(client.stripe_customer_id);
+      if (customer.deleted || !customer.currency) {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({ error: 'Client has not been billed yet, so there is no balance to credit' })
+        };
       }
 
-      const { data: payments } = await supabaseAdmin
-        .from('payments')
-        .select('amount, created_at')
-        .eq('status', 'succeeded')
-        .gte('created_at', startDate.toISOString())
-        .order('created_at', { ascending: true });
+      // A negative balance is money Stripe owes the customer
+      const transaction = await stripeAdmin.customers.createBalanceTransaction(client.stripe_customer_id, {
+        amount: -Math.round(creditAmount * 100),
+        currency: customer.currency,
+        description: reason.trim(),
+        metadata: { issued_by: user.userId }
+      });
 
-      // Group by day/week/month
-      const revenueData = groupRevenueByPeriod(payments, period);
+      const balance = -transaction.ending_balance / 100;
+
+      await logAdminActivity({
+        action: 'credit_issued',
+        actorId: user.userId,
+        clientId: client.id,
+        targetType: 'client',
+        targetId: client.id,
+        details: { amount: creditAmount, currency: customer.currency.toUpperCase(), balance, reason: reason.trim(), transaction_id: transaction.id },
+        event
+      });
+      await publishAdminEvent(client.id, 'credit.issued', { amount: creditAmount, balance });
 
       return {
         statusCode: 200,
         headers,
-        body: JSON.stringify(revenueData)
+        body: JSON.stringify({ credit: creditAmount, currency: customer.currency.toUpperCase(), balance, transaction_id: transaction.id })
       };
     }
 
-    // Create new client (admin only)
-    if (path === 'create-client' && method === 'POST') {
-      const { email, firstName, lastName, plan } = JSON.parse(event.body);
+    // Send a new invitation (the previous link stops working)
+    if (path === 'resend-invitation' && method === 'POST') {
+      const { client_id } = JSON.parse(event.body || '{}');
 
-      // Create user account
-      const { data: newUser, error } = await supabaseAdmin
+      const { data: client } = await supabaseAdmin
         .from('users')
-        .insert({
-          email,
-          username: email.split('@')[0],
-          password_hash: await bcrypt.hash(Math.random().toString(36), 10),
-          role: 'client',
-          subscription_plan: plan || 'trial',
-          subscription_status: 'trialing',
-          trial_ends_at: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000)
-        })
-        .select()
-        .single();
+        .select('id, email, username, email_verified, profile:user_profiles(first_name)')
+        .eq('id', client_id)
+        .eq('role', 'client')
+        .maybeSingle();
 
-      if (error) throw error;
+      if (!client) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Client not found' })
+        };
+      }
 
-      // Create profile
-      await supabaseAdmin
-        .from('user_profiles')
-        .insert({
-          user_id: newUser.id,
-          first_name: firstName,
-          last_name: lastName
-        });
+      // An accepted invitation means the client has a password; a new link would replace it
+      const { data: accepted } = await supabaseAdmin
+        .from('account_tokens')
+        .select('id')
+        .eq('user_id', client.id)
+        .eq('purpose', 'invitation')
+        .not('used_at', 'is', null)
+        .limit(1);
+
+      if (client.email_verified || accepted?.length) {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({ error: 'Client has already accepted the invitation' })
+        };
+      }
 
-      // Send welcome email
-      // await sendWelcomeEmail(email, firstName);
+      const profile = Array.isArray(client.profile) ? client.profile[0] : client.profile;
+      await sendAccountEmail(client, 'invitation', profile?.first_name);
 
       return {
-        statusCode: 201,
+        statusCode: 200,
         headers,
-        body: JSON.stringify(newUser)
+        body: JSON.stringify({ success: true })
       };
     }
 
@@ -523,7 +1856,129 @@ exports.handler = async (event, context) => {
   }
 };
 
+async function logPlanChange(admin, client, updated, action, event) {
+  await logAdminActivity({
+    action: 'plan_changed',
+    actorId: admin.userId,
+    clientId: client.id,
+    targetType: 'subscription',
+    targetId: client.id,
+    details: {
+      change: action,
+      from: { plan: client.subscription_plan, status: client.subscription_status },
+      to: { plan: updated.subscription_plan, status: updated.subscription_status }
+    },
+    event
+  });
+}
+
+// Cursor is the last row's (created_at, id), so rows sharing a timestamp aren't skipped
+function encodeActivityCursor(row) {
+  return Buffer.from(JSON.stringify({ createdAt: row.created_at, id: row.id })).toString('base64url');
+}
+
+function decodeActivityCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    const validId = /^[0-9a-f-]{36}$/i.test(decoded.id);
+    return validId && !isNaN(Date.parse(decoded.createdAt)) ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function ensureCompCoupon() {
+  try {
+    await stripeAdmin.coupons.retrieve(COMP_COUPON_ID);
+  } catch (error) {
+    if (error.code !== 'resource_missing') throw error;
+    await stripeAdmin.coupons.create({
+      id: COMP_COUPON_ID,
+      name: 'Complimentary (trainer)',
+      percent_off: 100,
+      duration: 'forever'
+    });
+  }
+}
+
+// Client detail summaries cover the last 30 days
+const ADHERENCE_WINDOW_DAYS = 30;
+
+// Open invoices are overdue once past their due date or, for automatically
+// charged subscription invoices (no due date), once a charge attempt has failed
+function overdueStatus(invoice, today) {
+  const since = invoice.due_date || (invoice.attempt_count > 0 ? invoice.created_at.slice(0, 10) : null);
+  if (!since || since >= today) return { overdue: false, days_overdue: 0 };
+
+  return { overdue: true, days_overdue: Math.round((new Date(today) - new Date(since)) / 86400000) };
+}
+
+function summarizeAdherence(workouts) {
+  const completed = workouts.filter(w => w.completed_at);
+  const rated = completed.filter(w => w.difficulty_rating);
+
+  return {
+    windowDays: ADHERENCE_WINDOW_DAYS,
+    scheduled: workouts.length,
+    completed: completed.length,
+    missed: workouts.length - completed.length,
+    completionRate: workouts.length ? Math.round((completed.length / workouts.length) * 100) : 0,
+    averageDifficulty: rated.length
+      ? Math.round((rated.reduce((sum, w) => sum + w.difficulty_rating, 0) / rated.length) * 10) / 10
+      : null,
+    lastCompletedAt: completed.map(w => w.completed_at).sort().pop() || null,
+    recent: workouts.slice(0, 10)
+  };
+}
+
+function summarizePayments(payments) {
+  const succeeded = payments.filter(p => p.status === 'succeeded');
+
+  return {
+    totalPaid: succeeded.reduce((sum, p) => sum + Number(p.amount) - Number(p.refund_amount || 0), 0),
+    successfulCount: succeeded.length,
+    failedCount: payments.filter(p => p.status === 'failed').length,
+    lastPaymentAt: succeeded[0]?.paid_at || succeeded[0]?.created_at || null,
+    history: payments.slice(0, 12)
+  };
+}
+
+function summarizeMessages(counts, last, clientId) {
+  return {
+    total: counts.total || 0,
+    fromClient: counts.fromClient || 0,
+    unreadFromClient: counts.unreadFromClient || 0,
+    lastMessage: last
+      ? { content: last.content, createdAt: last.created_at, fromClient: last.sender_id === clientId }
+      : null
+  };
+}
+
+function summarizeAiUsage(logs) {
+  const byFunction = {};
+  logs.forEach(log => {
+    const key = log.function_name || 'other';
+    byFunction[key] = byFunction[key] || { requests: 0, tokens: 0 };
+    byFunction[key].requests += 1;
+    byFunction[key].tokens += log.tokens_used || 0;
+  });
+
+  return {
+    windowDays: ADHERENCE_WINDOW_DAYS,
+    requests: logs.length,
+    tokens: logs.reduce((sum, log) => sum + (log.tokens_used || 0), 0),
+    cost: Math.round(logs.reduce((sum, log) => sum + Number(log.cost || 0), 0) * 10000) / 10000,
+    byFunction,
+    lastUsedAt: logs.map(log => log.created_at).sort().pop() || null
+  };
+}
+
 // Helper function to group revenue
+// What the payment is still worth after any refunds
+function netAmount(payment) {
+  return Math.round((Number(payment.amount) - Number(payment.refund_amount || 0)) * 100) / 100;
+}
+
 function groupRevenueByPeriod(payments, period) {
   const grouped = {};
   
@@ -541,7 +1996,7 @@ function groupRevenueByPeriod(payments, period) {
       grouped[key] = { date: key, revenue: 0, count: 0 };
     }
     
-    grouped[key].revenue += payment.amount;
+    grouped[key].revenue += netAmount(payment);
     grouped[key].count += 1;
   });
   
@@ -554,6 +2009,10 @@ function groupRevenueByPeriod(payments, period) {
 // =========================================
 const { createClient: createClientClient } = require('@supabase/supabase-js');
 const { verifyToken: verifyClientToken } = require('./utils/auth');
+const { checkAchievements } = require('./utils/achievements');
+const { recalculateStreak, getStreaks } = require('./utils/streaks');
+const { checkGoalProgress } = require('./utils/goals');
+const { logActivity: logClientActivity } = require('./utils/activity');
 
 const supabaseClient = createClientClient(
   process.env.SUPABASE_URL,
@@ -593,12 +2052,15 @@ exports.handler = async (event, context) => {
         .eq('user_id', user.userId)
         .single();
 
-      // Get current goals
+      // Get current goals, primary goal first. Progress is evaluated when
+      // workouts, food and check-ins are logged, and hourly by goals-evaluate.
       const { data: goals } = await supabaseClient
         .from('goals')
         .select('*')
         .eq('client_id', user.userId)
-        .eq('status', 'active');
+        .eq('status', 'active')
+        .order('priority', { ascending: true })
+        .order('created_at', { ascending: true });
 
       // Get recent progress
       const { data: progressEntries } = await supabaseClient
@@ -618,11 +2080,8 @@ exports.handler = async (event, context) => {
         .order('scheduled_date', { ascending: true })
         .limit(5);
 
-      // Get streaks
-      const { data: streaks } = await supabaseClient
-        .from('streaks')
-        .select('*')
-        .eq('client_id', user.userId);
+      // Get streaks (missed days since the last activity included)
+      const streaks = await getStreaks(user.userId);
 
       // Get achievements
       const { data: achievements } = await supabaseClient
@@ -678,6 +2137,19 @@ exports.handler = async (event, context) => {
           .eq('user_id', user.userId);
       }
 
+      // Progress entries are the client's check-ins
+      await recalculateStreak(user.userId, 'check_in');
+
+      await logClientActivity({
+        action: 'progress_logged',
+        actorId: user.userId,
+        clientId: user.userId,
+        targetType: 'progress_entry',
+        targetId: entry.id,
+        details: { entry_date: entry.entry_date, weight_kg: entry.weight_kg },
+        event
+      });
+
       // Check for goal achievements
       await checkGoalProgress(user.userId);
 
@@ -779,57 +2251,6 @@ async function calculateClientStats(clientId) {
   return stats?.[0] || {};
 }
 
-async function checkGoalProgress(clientId) {
-  const { data: goals } = await supabaseClient
-    .from('goals')
-    .select('*')
-    .eq('client_id', clientId)
-    .eq('status', 'active');
-
-  const { data: latestProgress } = await supabaseClient
-    .from('progress_entries')
-    .select('*')
-    .eq('client_id', clientId)
-    .order('entry_date', { ascending: false })
-    .limit(1)
-    .single();
-
-  for (const goal of goals || []) {
-    if (goal.category === 'weight_loss' && latestProgress?.weight_kg) {
-      const progress = goal.starting_value - latestProgress.weight_kg;
-      await supabaseClient
-        .from('goals')
-        .update({ 
-          current_value: latestProgress.weight_kg,
-          status: progress >= goal.target_value ? 'achieved' : 'active',
-          achieved_at: progress >= goal.target_value ? new Date() : null
-        })
-        .eq('id', goal.id);
-    }
-  }
-}
-
-async function checkAchievements(clientId) {
-  // Check various achievement criteria
-  // This is simplified - in production, you'd have more sophisticated logic
-  
-  const { data: workoutCount } = await supabaseClient
-    .from('workouts')
-    .select('id', { count: 'exact' })
-    .eq('client_id', clientId)
-    .not('completed_at', 'is', null);
-
-  if (workoutCount === 1) {
-    // Award "First Workout" achievement
-    await supabaseClient
-      .from('client_achievements')
-      .upsert({
-        client_id: clientId,
-        achievement_id: 'first-workout-achievement-id'
-      });
-  }
-}
-
 function formatChartData(progressData, workoutData) {
   // Format data for Chart.js
   const weightData = progressData?.map(p => ({
@@ -870,12 +2291,197 @@ function getWeekNumber(date) {
   return Math.ceil((pastDaysOfYear + firstDayOfYear.getDay() + 1) / 7);
 }
 
+// =========================================
+// /netlify/functions/utils/activity.js
+// Activity log: who did what to whom
+// =========================================
+const { createClient: createActivityClient } = require('@supabase/supabase-js');
+
+const supabaseActivity = createActivityClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const ACTIVITY_TYPES = [
+  'login',
+  'workout_completed',
+  'progress_logged',
+  'payment_succeeded',
+  'payment_failed',
+  'payment_refunded',
+  'payment_disputed',
+  'credit_issued',
+  'message_sent',
+  'plan_changed'
+];
+
+// Best effort like publishEvent: a failed write is logged, never surfaced.
+// actorId is null for system events (Stripe webhooks); clientId is the client
+// the event concerns, which is what the admin feed filters on.
+async function logActivity({ action, actorId = null, clientId = null, targetType = null, targetId = null, details = {}, event = null }) {
+  const requestHeaders = event?.headers || {};
+
+  const { error } = await supabaseActivity
+    .from('activity_logs')
+    .insert({
+      user_id: actorId,
+      client_id: clientId,
+      action,
+      target_type: targetType,
+      target_id: targetId,
+      details,
+      ip_address: (requestHeaders['x-nf-client-connection-ip'] ||
+        (requestHeaders['x-forwarded-for'] || '').split(',')[0].trim()) || null,
+      user_agent: requestHeaders['user-agent'] || null
+    });
+
+  if (error) {
+    console.error(`Logging ${action} failed:`, error);
+  }
+}
+
+module.exports = { logActivity, ACTIVITY_TYPES };
+
+// =========================================
+// /netlify/functions/utils/billing.js
+// Plan lookup and keeping users' subscription columns in step with Stripe
+// =========================================
+const { createClient: createBillingClient } = require('@supabase/supabase-js');
+const { endDunning: endBillingDunning, DUNNING_STATUSES: BILLING_DUNNING_STATUSES } = require('./dunning');
+
+const supabaseBilling = createBillingClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// users.subscription_plan values for paid plans (subscription_plans.name, lowercased)
+const PLAN_KEYS = ['basic', 'premium', 'elite'];
+
+const BILLING_INTERVALS = ['month', 'year'];
+
+// Monthly and yearly Stripe prices for a plan row. STRIPE_PRICE_ID_<PLAN> and
+// STRIPE_PRICE_ID_<PLAN>_YEARLY fill in where the table hasn't been set up.
+function pricesFor(planKey, plan) {
+  const envKey = `STRIPE_PRICE_ID_${planKey.toUpperCase()}`;
+  return {
+    month: plan?.stripe_price_id || process.env[envKey] || null,
+    year: plan?.stripe_price_id_yearly || process.env[`${envKey}_YEARLY`] || null
+  };
+}
+
+async function getPlanRows() {
+  const { data: plans, error } = await supabaseBilling
+    .from('subscription_plans')
+    .select('*');
+
+  if (error) throw error;
+  return plans;
+}
+
+// The plan's row with the Stripe price to bill for the interval
+async function getPlan(planKey, interval = 'month') {
+  if (!PLAN_KEYS.includes(planKey) || !BILLING_INTERVALS.includes(interval)) return null;
+
+  const plan = (await getPlanRows()).find(row => row.is_active && row.name.toLowerCase() === planKey);
+  const prices = pricesFor(planKey, plan);
+
+  return { ...plan, key: planKey, interval, prices, stripe_price_id: prices[interval] };
+}
+
+// Which plan (and interval) a Stripe price bills for; null for prices we don't sell
+async function planForPrice(priceId) {
+  const rows = await getPlanRows();
+
+  for (const planKey of PLAN_KEYS) {
+    const prices = pricesFor(planKey, rows.find(row => row.name.toLowerCase() === planKey));
+    const interval = BILLING_INTERVALS.find(key => prices[key] === priceId);
+    if (interval) return { key: planKey, interval };
+  }
+  return null;
+}
+
+// Stripe's status plus the states only our app distinguishes
+function subscriptionStatusFor(subscription) {
+  if (subscription.status === 'canceled') return 'cancelled';
+  if (subscription.pause_collection) return 'paused';
+  if (subscription.discount?.coupon?.percent_off === 100) return 'comped';
+  return subscription.status; // trialing, active, past_due, unpaid, incomplete
+}
+
+// Write what the subscription actually bills for onto the user. The plan comes
+// from the price, so changes made in the Stripe dashboard are picked up too.
+// With asOf, returns null if the user already reflects a later change.
+async function syncSubscription(userId, subscription, { asOf } = {}) {
+  const item = subscription.items.data[0];
+  const status = subscriptionStatusFor(subscription);
+  const unitAmount = (item.price.unit_amount || 0) * (item.quantity || 1) / 100;
+  const plan = await planForPrice(item.price.id);
+
+  if (!plan) {
+    console.error(`No plan for Stripe price ${item.price.id}; set subscription_plans.stripe_price_id`);
+  }
+
+  let query = supabaseBilling
+    .from('users')
+    .update({
+      stripe_subscription_id: subscription.id,
+      ...(plan ? { subscription_plan: plan.key, subscription_interval: plan.interval } : {}),
+      subscription_status: status,
+      subscription_amount: status === 'comped' ? 0 : unitAmount,
+      subscription_ends_at: new Date(subscription.current_period_end * 1000).toISOString(),
+      ...(subscription.trial_end ? { trial_ends_at: new Date(subscription.trial_end * 1000).toISOString() } : {}),
+      subscription_synced_at: asOf || new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', userId);
+
+  // Webhook events can arrive out of order; don't let an older one win
+  if (asOf) {
+    query = query.or(`subscription_synced_at.is.null,subscription_synced_at.lte."${asOf}"`);
+  }
+
+  const { data: updated, error } = await query
+    .select('id, subscription_plan, subscription_interval, subscription_status, subscription_amount, subscription_ends_at, trial_ends_at')
+    .maybeSingle();
+
+  if (error) throw error;
+
+  // However it left past_due/unpaid (paid, comped, paused, cancelled), the
+  // reminders stop and anything restricted comes back
+  if (updated && !BILLING_DUNNING_STATUSES.includes(status)) {
+    await endBillingDunning(userId);
+  }
+  return updated;
+}
+
+module.exports = { getPlan, planForPrice, subscriptionStatusFor, syncSubscription, PLAN_KEYS };
+
 // =========================================
 // /netlify/functions/utils/auth.js
 // Authentication utilities
 // =========================================
 const jwt = require('jsonwebtoken');
 
+// Access tokens are short-lived; the payload is what every function sees as `user`
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// How long a verified second factor (the token's mfa_at) counts for sensitive actions
+const STEP_UP_MAX_AGE_SECONDS = Number(process.env.STEP_UP_MAX_AGE_MINUTES || 10) * 60;
+
+const STEP_UP_REQUIRED = {
+  error: 'Confirm with your authenticator code to continue',
+  code: 'step_up_required'
+};
+
+function issueAccessToken(user, claims = {}) {
+  const token = jwt.sign(
+    { userId: user.id, role: user.role, ...claims },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  return { token, expiresIn: ACCESS_TOKEN_TTL };
+}
+
 function verifyToken(authHeader) {
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     return null;
@@ -885,17 +2491,28 @@ function verifyToken(authHeader) {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // 2FA login and emailed-link tokens are signed with the same secret but
+    // carry a purpose and no userId; they aren't sessions
+    if (!decoded.userId || decoded.purpose) return null;
     return decoded;
   } catch (error) {
     return null;
   }
 }
 
-function requireAdmin(user) {
-  return user && user.role === 'admin';
+function hasRecentMfa(user) {
+  return Boolean(user && user.mfa_at) && Date.now() / 1000 - user.mfa_at <= STEP_UP_MAX_AGE_SECONDS;
+}
+
+// Pass { recentMfa: true } for sensitive actions (subscription changes, refunds);
+// callers answer 403 with STEP_UP_REQUIRED so the app can prompt for a code
+function requireAdmin(user, { recentMfa = false } = {}) {
+  if (!user || user.role !== 'admin') return false;
+  return !recentMfa || hasRecentMfa(user);
 }
 
-module.exports = { verifyToken, requireAdmin };
+module.exports = { verifyToken, requireAdmin, hasRecentMfa, issueAccessToken, STEP_UP_REQUIRED };
 
 // =========================================
 // package.json
@@ -916,7 +2533,10 @@ module.exports = { verifyToken, requireAdmin };
     "bcryptjs": "^2.4.3",
     "jsonwebtoken": "^9.0.2",
     "@sendgrid/mail": "^8.0.0",
-    "cloudinary": "^1.41.0"
+    "cloudinary": "^1.41.0",
+    "@netlify/functions": "^2.4.0",
+    "rrule": "^2.8.1",
+    "qrcode": "^1.5.3"
   },
   "devDependencies": {
     "netlify-cli": "^17.0.0"
@@ -938,19 +2558,47 @@ SUPABASE_SERVICE_KEY=your_service_key
 
 # Authentication
 JWT_SECRET=your_jwt_secret_key
+# Access token lifetime (jsonwebtoken format, e.g. 15m, 1h)
+ACCESS_TOKEN_TTL=15m
+# Refresh tokens rotate on every use and expire after this many days
+REFRESH_TOKEN_TTL_DAYS=30
+# Coupon used when the trainer comps a client (created on first use)
+STRIPE_COMP_COUPON_ID=trainer-comp
+
+# Two-factor: name shown in authenticator apps, and how long a code unlocks sensitive admin actions
+TOTP_ISSUER=Fitness Platform
+STEP_UP_MAX_AGE_MINUTES=10
 
 # Stripe
 STRIPE_SECRET_KEY=sk_test_your_stripe_secret_key
 STRIPE_WEBHOOK_SECRET=whsec_your_webhook_secret
+# Fallbacks for plans whose subscription_plans row has no stripe_price_id(_yearly)
 STRIPE_PRICE_ID_BASIC=price_xxx
 STRIPE_PRICE_ID_PREMIUM=price_xxx
 STRIPE_PRICE_ID_ELITE=price_xxx
+STRIPE_PRICE_ID_BASIC_YEARLY=price_xxx
+STRIPE_PRICE_ID_PREMIUM_YEARLY=price_xxx
+STRIPE_PRICE_ID_ELITE_YEARLY=price_xxx
 
 # OpenAI
 OPENAI_API_KEY=your_openai_api_key
 
 # SendGrid (for emails)
 SENDGRID_API_KEY=your_sendgrid_key
+MAIL_FROM=coach@yoursite.com
+# sendgrid, console or file (file writes each message as JSON to MAIL_OUTBOX_DIR)
+MAIL_TRANSPORT=sendgrid
+MAIL_OUTBOX_DIR=.mail-outbox
+
+# Session reminders (minutes before start)
+REMINDER_LEAD_MINUTES=1440,60
+
+# Dunning: reminder days after the first failed payment, and days before premium features pause
+DUNNING_REMINDER_DAYS=0,3,7
+DUNNING_GRACE_DAYS=10
+
+# Realtime: how long each stream request waits for new events (keep under the function timeout)
+REALTIME_HOLD_SECONDS=8
 
 # Cloudinary (for image storage)
 CLOUDINARY_CLOUD_NAME=your_cloud_name
@@ -973,16 +2621,22 @@ STRIPE INTEGRATION SETUP:
      * Basic Plan - $49/month
      * Premium Plan - $79/month
      * Elite Plan - $149/month
-   - Copy the price IDs for each plan
+   - Add a yearly price to each product if you offer annual billing
+   - Copy the price IDs into subscription_plans.stripe_price_id (monthly)
+     and stripe_price_id_yearly
 
 3. Setup Webhook:
    - In Stripe Dashboard > Webhooks
    - Add endpoint: https://yoursite.netlify.app/.netlify/functions/stripe-payments/webhook
    - Select events:
      * checkout.session.completed
-     * invoice.payment_succeeded
-     * invoice.payment_failed
-     * customer.subscription.deleted
+     * customer.subscription.created, .updated, .deleted
+     * customer.subscription.trial_will_end, .paused, .resumed
+     * invoice.finalized, .updated, .paid, .voided, .marked_uncollectible
+     * invoice.upcoming
+     * invoice.payment_succeeded, invoice.payment_failed
+     * charge.refunded, charge.dispute.created
+     * payment_method.attached
    - Copy the webhook secret
 
 4. Configure Customer Portal:
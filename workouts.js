@@ -0,0 +1,310 @@
+// =========================================
+// /netlify/functions/workouts.js
+// Client workouts: schedule, history and set-by-set logging
+// =========================================
+const { createClient } = require('@supabase/supabase-js');
+const { verifyToken, requireAdmin } = require('./utils/auth');
+const { recalculateStreak } = require('./utils/streaks');
+const { checkGoalProgress } = require('./utils/goals');
+const { logActivity } = require('./utils/activity');
+const { checkAchievements } = require('./utils/achievements');
+const { publishToAdmins } = require('./utils/realtime');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const WORKOUT_SELECT = `
+  *,
+  exercises:workout_exercises(
+    *,
+    exercise:exercises(name, category, muscle_groups, equipment_needed, video_url, thumbnail_url)
+  )
+`;
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  const user = verifyToken(event.headers.authorization);
+  if (!user) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+
+  const path = event.path
+    .replace('/.netlify/functions/workouts', '')
+    .replace(/^\//, '');
+  const method = event.httpMethod;
+  const isAdmin = requireAdmin(user);
+
+  try {
+    // List workouts (upcoming, completed or all)
+    if (path === '' && method === 'GET') {
+      const { status = 'all', from, to, client_id, limit = 50 } = event.queryStringParameters || {};
+      const clientId = isAdmin && client_id ? client_id : user.userId;
+      const today = new Date().toISOString().split('T')[0];
+
+      let query = supabase
+        .from('workouts')
+        .select(WORKOUT_SELECT)
+        .eq('client_id', clientId)
+        .limit(Number(limit));
+
+      if (status === 'upcoming') {
+        query = query
+          .is('completed_at', null)
+          .gte('scheduled_date', today)
+          .order('scheduled_date', { ascending: true });
+      } else if (status === 'completed') {
+        query = query
+          .not('completed_at', 'is', null)
+          .order('completed_at', { ascending: false });
+      } else {
+        query = query.order('scheduled_date', { ascending: false });
+      }
+
+      if (from) query = query.gte('scheduled_date', from);
+      if (to) query = query.lte('scheduled_date', to);
+
+      const { data: workouts, error } = await query;
+      if (error) throw error;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(workouts.map(sortExercises))
+      };
+    }
+
+    const workoutMatch = path.match(/^([^/]+)(?:\/(complete))?$/);
+
+    // Single workout with its exercises
+    if (workoutMatch && !workoutMatch[2] && method === 'GET') {
+      const workout = await getWorkout(workoutMatch[1]);
+
+      if (!workout || (!isAdmin && workout.client_id !== user.userId)) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Workout not found' })
+        };
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(workout)
+      };
+    }
+
+    // Log a completed workout
+    if (workoutMatch && workoutMatch[2] === 'complete' && method === 'PUT') {
+      const workout = await getWorkout(workoutMatch[1]);
+
+      if (!workout || workout.client_id !== user.userId) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Workout not found' })
+        };
+      }
+
+      if (workout.completed_at) {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({ error: 'Workout already completed' })
+        };
+      }
+
+      const completion = JSON.parse(event.body || '{}');
+      const validationError = validateCompletion(completion, workout);
+      if (validationError) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: validationError })
+        };
+      }
+
+      const completedAt = new Date(completion.completed_at || Date.now()).toISOString();
+
+      // Per-exercise performance goes in before the claim: once the workout is
+      // marked complete a retry gets 409, so nothing it needs can come after
+      for (const logged of completion.exercises || []) {
+        const { error: exerciseError } = await supabase
+          .from('workout_exercises')
+          .update({
+            completed_sets: logged.actual_reps.length,
+            actual_reps: logged.actual_reps,
+            actual_weight_kg: logged.actual_weight_kg || null,
+            actual_seconds: logged.actual_seconds || null,
+            form_rating: logged.form_rating,
+            notes: logged.notes
+          })
+          .eq('id', logged.id)
+          .eq('workout_id', workout.id);
+
+        if (exerciseError) throw exerciseError;
+      }
+
+      // Only one of two racing requests claims the completion
+      const { data: completed, error } = await supabase
+        .from('workouts')
+        .update({
+          completed_at: completedAt,
+          actual_duration_minutes: completion.actual_duration_minutes,
+          calories_burned: completion.calories_burned,
+          difficulty_rating: completion.difficulty_rating,
+          client_notes: completion.client_notes
+        })
+        .eq('id', workout.id)
+        .is('completed_at', null)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!completed) {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({ error: 'Workout already completed' })
+        };
+      }
+
+      // Derived from the logged workout and recomputable later, so a failure here
+      // is logged rather than turning a recorded completion into a 500
+      const streak = await bestEffort('streak', () => recalculateStreak(user.userId, 'workout'));
+      await bestEffort('goals', () => checkGoalProgress(user.userId));
+      await bestEffort('achievements', () => checkAchievements(user.userId));
+      await bestEffort('realtime', () => publishToAdmins('workout.completed', {
+        workout_id: workout.id,
+        client_id: user.userId,
+        name: workout.name
+      }));
+      await logActivity({
+        action: 'workout_completed',
+        actorId: user.userId,
+        clientId: user.userId,
+        targetType: 'workout',
+        targetId: workout.id,
+        details: { name: workout.name, difficulty_rating: completion.difficulty_rating },
+        event
+      });
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ workout: await getWorkout(workout.id), streak })
+      };
+    }
+
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Not found' })
+    };
+
+  } catch (error) {
+    console.error('Workouts error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
+
+// Helper functions
+async function bestEffort(label, step) {
+  try {
+    return await step();
+  } catch (error) {
+    console.error(`Workout completion ${label} failed:`, error);
+    return null;
+  }
+}
+
+async function getWorkout(workoutId) {
+  const { data: workout } = await supabase
+    .from('workouts')
+    .select(WORKOUT_SELECT)
+    .eq('id', workoutId)
+    .maybeSingle();
+
+  return workout ? sortExercises(workout) : null;
+}
+
+function sortExercises(workout) {
+  return {
+    ...workout,
+    exercises: (workout.exercises || []).sort((a, b) => a.order_number - b.order_number)
+  };
+}
+
+function validateCompletion(completion, workout) {
+  const isRating = (value) => value === undefined || value === null ||
+    (Number.isInteger(value) && value >= 1 && value <= 5);
+  const isNumberList = (list) => Array.isArray(list) &&
+    list.every(value => typeof value === 'number' && value >= 0);
+
+  if (!isRating(completion.difficulty_rating)) {
+    return 'difficulty_rating must be between 1 and 5';
+  }
+
+  if (completion.actual_duration_minutes !== undefined &&
+      !(Number.isInteger(completion.actual_duration_minutes) && completion.actual_duration_minutes > 0)) {
+    return 'actual_duration_minutes must be a positive whole number';
+  }
+
+  if (completion.completed_at !== undefined) {
+    const completedAt = new Date(completion.completed_at);
+    if (isNaN(completedAt) || completedAt > new Date()) {
+      return 'completed_at must be a valid date that is not in the future';
+    }
+  }
+
+  if (completion.exercises !== undefined && !Array.isArray(completion.exercises)) {
+    return 'exercises must be a list';
+  }
+
+  const exerciseIds = new Set(workout.exercises.map(e => e.id));
+
+  for (const logged of completion.exercises || []) {
+    if (!exerciseIds.has(logged.id)) {
+      return `Exercise ${logged.id} is not part of this workout`;
+    }
+    if (!isNumberList(logged.actual_reps) || !logged.actual_reps.every(Number.isInteger)) {
+      return 'actual_reps must be a list of whole numbers, one per set';
+    }
+    if (logged.actual_weight_kg !== undefined && logged.actual_weight_kg !== null) {
+      if (!isNumberList(logged.actual_weight_kg) ||
+          logged.actual_weight_kg.length !== logged.actual_reps.length) {
+        return 'actual_weight_kg must list one weight per set';
+      }
+    }
+    if (logged.actual_seconds !== undefined && logged.actual_seconds !== null) {
+      if (!isNumberList(logged.actual_seconds) || !logged.actual_seconds.every(Number.isInteger) ||
+          logged.actual_seconds.length !== logged.actual_reps.length) {
+        return 'actual_seconds must list one whole number of seconds per set';
+      }
+    }
+    if (!isRating(logged.form_rating)) {
+      return 'form_rating must be between 1 and 5';
+    }
+  }
+
+  return null;
+}